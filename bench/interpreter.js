@@ -0,0 +1,47 @@
+/**
+ * Compares the compiled selectors against interpreter mode
+ * Run with `npm run bench` after `npm run build`
+ */
+const { default: jselector, interpreterMode } = require('../jselector.babel.js')
+
+const ITERATIONS = 1e6
+
+// every call gets a fresh reducer root, so the path has to be dug each time
+const states = [ 0, 1 ].map(id => ({
+  todos : { items : [ { title : "first" }, { title : "last " + id } ] }
+  , session : { user : { name : "someone", id } }
+}))
+
+function build () {
+
+  return jselector({
+    title : "todos.items[-1].title"
+    , name : "session.user.name"
+    , id : [ "session.user.id", id => id * 2 ]
+  })
+
+}
+
+function run (label, selector) {
+
+  const start = process.hrtime()
+
+  for (let x = 0; x < ITERATIONS; x++)
+    selector(Object.assign({}, states[x % 2]))
+
+  const [ seconds, nanoseconds ] = process.hrtime(start)
+    , ms = seconds * 1e3 + nanoseconds / 1e6
+
+  console.log(`${ label }: ${ ms.toFixed(1) }ms for ${ ITERATIONS } calls`)
+
+  return ms
+
+}
+
+interpreterMode(false)
+const compiled = run("compiled", build())
+
+interpreterMode(true)
+const interpreted = run("interpreted", build())
+
+console.log(`interpreted is ${ (interpreted / compiled).toFixed(2) }x the compiled time`)
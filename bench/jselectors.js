@@ -0,0 +1,70 @@
+/**
+ * Unchanged jselectors calls, against the loop that filled a fresh object on every call
+ * Run with `npm run bench` after `npm run build`
+ */
+const { default: jselector } = require('../jselector.babel.js')
+
+const ITERATIONS = 1e6
+  , KEYS = 20
+
+// one reducer per key, and every call keeps all of them, like a dispatch that touched some other part of state
+const state = {}
+  , spec = {}
+
+for (let x = 0; x < KEYS; x++) {
+  state["reducer" + x] = { value : x, label : "key " + x }
+  spec["key" + x] = "reducer" + x + ".label"
+}
+
+// the loop as it was, spelled out the same way optimizedSelectorsLoop does it
+// but writing into a new object on every call, which is thrown away when nothing changed
+function freshObjectLoop (spec) {
+
+  const meta = { changes : [] }
+    , keys = Object.keys(spec)
+    , selectors = {}
+
+  let previousValue
+
+  keys.forEach(key => selectors[key] = jselector.call(meta, spec[key], undefined, undefined, key))
+
+  const loop = new Function("state", "props", "selectors", "r",
+    keys.map(key => `r[${ JSON.stringify(key) }] = selectors[${ JSON.stringify(key) }](state, props, r);`).join("") + "return r")
+
+  return (state, props) => {
+
+    const r = loop(state, props, selectors, {})
+
+    if (!previousValue || meta.changes.length) {
+      previousValue = r
+      meta.changes.length = 0
+    }
+
+    return previousValue
+
+  }
+
+}
+
+function run (label, selector) {
+
+  selector(state)
+
+  const start = process.hrtime()
+
+  for (let x = 0; x < ITERATIONS; x++)
+    selector(state)
+
+  const [ seconds, nanoseconds ] = process.hrtime(start)
+    , ms = seconds * 1e3 + nanoseconds / 1e6
+
+  console.log(`${ label }: ${ ms.toFixed(1) }ms for ${ ITERATIONS } unchanged calls`)
+
+  return ms
+
+}
+
+const fresh = run("fresh object", freshObjectLoop(spec))
+  , reused = run("jselectors", jselector(spec))
+
+console.log(`jselectors takes ${ (reused / fresh).toFixed(2) }x the time of the fresh object loop`)
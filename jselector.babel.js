@@ -4,363 +4,3256 @@ Object.defineProperty(exports, "__esModule", {
   value: true
 });
 
+var _slicedToArray = function () { function sliceIterator(arr, i) { var _arr = []; var _n = true; var _d = false; var _e = undefined; try { for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) { _arr.push(_s.value); if (i && _arr.length === i) break; } } catch (err) { _d = true; _e = err; } finally { try { if (!_n && _i["return"]) _i["return"](); } finally { if (_d) throw _e; } } return _arr; } return function (arr, i) { if (Array.isArray(arr)) { return arr; } else if (Symbol.iterator in Object(arr)) { return sliceIterator(arr, i); } else { throw new TypeError("Invalid attempt to destructure non-iterable instance"); } }; }();
+
 var _typeof = typeof Symbol === "function" && typeof Symbol.iterator === "symbol" ? function (obj) { return typeof obj; } : function (obj) { return obj && typeof Symbol === "function" && obj.constructor === Symbol && obj !== Symbol.prototype ? "symbol" : typeof obj; };
 
+exports.shallowEqual = shallowEqual;
+exports.deepEqual = deepEqual;
+exports.profileMode = profileMode;
+exports.profileReport = profileReport;
+exports.profileReset = profileReset;
+exports.devMode = devMode;
+exports.validateSchema = validateSchema;
+exports.schemaMode = schemaMode;
+exports.defaultsMode = defaultsMode;
+exports.defaultFactory = defaultFactory;
 exports.simpleSelector = simpleSelector;
 exports.lightSelector = lightSelector;
+exports.asyncSelector = asyncSelector;
+exports.trackedSelector = trackedSelector;
+exports.parsePath = parsePath;
+exports.interpreterMode = interpreterMode;
+exports.accessorMode = accessorMode;
+exports.strictPathMode = strictPathMode;
+exports.checkPaths = checkPaths;
+exports.collectionSelector = collectionSelector;
+exports.lens = lens;
+exports.set = set;
+exports.update = update;
+exports.remove = remove;
 exports.jselectors = jselectors;
 exports.default = jselector;
+exports.inspect = inspect;
+exports.printInspection = printInspection;
+exports.selectorRegistry = selectorRegistry;
+
+function _toConsumableArray(arr) { if (Array.isArray(arr)) { for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) { arr2[i] = arr[i]; } return arr2; } else { return Array.from(arr); } }
+
+function _defineProperty(obj, key, value) { if (key in obj) { Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true }); } else { obj[key] = value; } return obj; }
 
 var _require = require('j'),
     jin = _require.jin,
     getType = _require.getType;
 
+var NO_OPTIONS = {};
+
+// selector variants that jselector can't tell apart by argument types carry a builder under this key
+var SELECTOR_SPEC = typeof Symbol === "function" ? Symbol("jselector.spec") : "@@jselector.spec";
+
+// the ones built on a path carry it as well, so checkPaths can check it
+var selectorSpec = function selectorSpec(build, path) {
+  var _ref2;
+
+  return Object.freeze(path === undefined ? _defineProperty({}, SELECTOR_SPEC, build) : (_ref2 = {}, _defineProperty(_ref2, SELECTOR_SPEC, build), _defineProperty(_ref2, "path", path), _ref2));
+};
+
+var isSpec = function isSpec(thing) {
+  return !!thing && (typeof thing === "undefined" ? "undefined" : _typeof(thing)) === "object" && !!thing[SELECTOR_SPEC];
+};
+
+// every selector carries a function that describes it under this key, see inspect
+var INSPECT = typeof Symbol === "function" ? Symbol("jselector.inspect") : "@@jselector.inspect";
+
+var describe = function describe(selector, description) {
+  return selector[INSPECT] = description, selector;
+};
+
+var strictEqual = function strictEqual(a, b) {
+  return a === b;
+};
+
 /**
- * This is a simple version of jselector that offers more functionality at the cost of less magic missles.
- * There are two functions of concern, 
- * 1) the test function, which gets the value of the base reducer
- * 2) the value function, which derives the final value of the property to be returned
+ * Compares two values one level deep, arrays by index and objects by own keys
  * 
- * It is possible to test for multiple base reducer values by returning the multiple array (3rd argument)
- * (state, ownProps, multiple) => Object.assign(multiple, [ state.prop1, state.prop2, ownProps ])
+ * @param {any} a 
+ * @param {any} b 
+ * @returns { boolean }
+ */
+function shallowEqual(a, b) {
+
+  if (a === b) return true;
+
+  if (!a || !b || (typeof a === "undefined" ? "undefined" : _typeof(a)) !== "object" || (typeof b === "undefined" ? "undefined" : _typeof(b)) !== "object") return false;
+
+  var keys = Object.keys(a);
+
+  if (keys.length !== Object.keys(b).length) return false;
+
+  for (var x = 0; x < keys.length; x++) {
+    if (!Object.prototype.hasOwnProperty.call(b, keys[x]) || a[keys[x]] !== b[keys[x]]) return false;
+  }return Array.isArray(a) === Array.isArray(b);
+}
+
+/**
+ * Compares two values all the way down, arrays by index, dates by time and objects by own keys
  * 
- * On the value function, the order of the arguments are state, testValue, and ownProps
- * When there are multiple testValues, it is [ state, [ testValue1, testValue2, ... ], ownProps ]
+ * @param {any} a 
+ * @param {any} b 
+ * @returns { boolean }
+ */
+function deepEqual(a, b) {
+
+  if (a === b) return true;
+
+  if (!a || !b || (typeof a === "undefined" ? "undefined" : _typeof(a)) !== "object" || (typeof b === "undefined" ? "undefined" : _typeof(b)) !== "object") return false;
+
+  if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+
+  var keys = Object.keys(a);
+
+  if (keys.length !== Object.keys(b).length || Array.isArray(a) !== Array.isArray(b)) return false;
+
+  for (var x = 0; x < keys.length; x++) {
+    if (!Object.prototype.hasOwnProperty.call(b, keys[x]) || !deepEqual(a[keys[x]], b[keys[x]])) return false;
+  }return true;
+}
+
+var now = typeof performance !== "undefined" && performance.now ? function () {
+  return performance.now();
+} : function () {
+  return Date.now();
+};
+
+// the keys of the jselectors this meta is nested in, outermost first
+function parentChain(meta) {
+
+  var keys = [];
+
+  // a top level group only counts when it was given a key, see jselector
+  for (var m = meta; m && (m.parent || m.key !== undefined); m = m.parent) {
+    keys.unshift(m.key);
+  }return keys;
+}
+
+/**
+ * Every selector reports a change in the same shape, these end up in meta.changes
+ * jselectors hands them to the final callback and to subscribers, then passes them up to its parent
  * 
- * @param {function} testFun
- * @param {function} valueFun 
- * @param {any} def 
- * @param {string} key 
- * @returns 
+ * kind      "path" (_jselector), "simple" (simpleSelector), "single" (singleSelector), "async" (asyncSelector),
+ *           "derived" (a jselectors key built from sibling keys), "tracked" (trackedSelector) or "group" (jselectors)
+ * key       the key in the jselectors object, undefined outside of one
+ * path      the path string for "path" selectors, otherwise null
+ * oldValue  the value returned before this change
+ * newValue  the value returned now
+ * duration  milliseconds spent in the filter, valueFun, or the final callback for groups
+ * parents   keys of the enclosing jselectors, outermost first, a top level one only when it was given a key
+ * props     the ownProps of the call
+ * oldTest   what the change was tested on before, the reducer root, the test value or the multiple array
+ * newTest   what the change was tested on now
+ * 
+ * @param {object} meta 
+ * @param {object} change 
  */
+function pushChange(meta, change) {
 
+  change.parents = parentChain(meta);
 
-function simpleSelector(testFun, valueFun, def, key) {
+  meta.changes.push(change);
+}
 
-  var oldTest = void 0,
-      oldValue = void 0,
-      meta = this || { changes: [] };
+/**
+ * Profiling, records calls, recomputes and time spent per selector key and path
+ * Like interpreterMode this is read when a selector is constructed, selectors built while it is off are not wrapped at all
+ * Selectors with the same key and path, such as the instances of wrapByUniqueKey, add up into one entry
+ * so give each top level jselectors a key, jselector(obj, fun, preObj, "TodoList"), or they all share "(root)"
+ * 
+ * @param { boolean } value 
+ * @returns { boolean }
+ */
+function profileMode(value) {
 
-  return function (state, props) {
+  return profiling = !!value;
+}
 
-    var multiple = [];
+var profiling = false,
+    profiles = new Map();
 
-    var newTest = testFun(state, props, multiple);
+/**
+ * The recorded profile, hottest first
+ * calls       times the selector was called
+ * hits        calls that returned the memoized value without running the filter, valueFun or final callback
+ * recomputes  times the filter, valueFun or final callback ran
+ * total, max  milliseconds spent in those, mean is total / recomputes
+ * 
+ * @param { string } [sortBy] any numeric field, defaults to total
+ * @returns { object[] }
+ */
+function profileReport() {
+  var sortBy = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : "total";
 
-    if (oldTest === newTest) return def !== undefined ? oldValue || def : oldValue;
 
-    // when testing multiple things, return the 'multiple' array with all of the values
-    // jselector(
-    //  (state, ownProps, multiple) => Object.assign(multiple, [ state.prop1, state.prop2, ownProps ])
-    //  , (state, [ prop1, prop2, ownProps ]) => {
-    //    ... code 
-    //  }
-    // )
+  return Array.from(profiles.values()).map(function (entry) {
+    return Object.assign({}, entry, {
+      hits: entry.calls - entry.recomputes,
+      mean: entry.recomputes ? entry.total / entry.recomputes : 0
+    });
+  }).sort(function (a, b) {
+    return b[sortBy] - a[sortBy];
+  });
+}
 
-    else if (newTest === multiple && oldTest && !newTest.find(function (item, index) {
-        return item !== oldTest[index];
-      })) return def !== undefined ? oldValue || def : oldValue;
+function profileReset() {
 
-    oldTest = newTest;
+  profiles = new Map();
+}
 
-    var newValue = valueFun(state, newTest, props);
+// the keys down to the selector and its path, "todos.visible todos.items"
+function labelOf(meta, key, path) {
 
-    if (newValue !== oldValue) meta.changes.push({ oldTest: oldTest, def: def, key: key, newTest: newTest, newValue: newValue, oldValue: oldValue });
+  var chain = parentChain(meta);
 
-    oldValue = newValue;
+  if (key !== undefined) chain.push(key);
+
+  return (chain.join(".") || "(root)") + (path ? " " + path : "");
+}
+
+function profileEntry(meta, kind, key, path) {
+
+  if (!profiling) return null;
+
+  var label = labelOf(meta, key, path),
+      id = kind + " " + label;
+
+  if (!profiles.has(id)) profiles.set(id, { label: label, kind: kind, key: key, path: path, calls: 0, recomputes: 0, total: 0, max: 0 });
+
+  return profiles.get(id);
+}
+
+// wraps whatever does the actual work, the filter, valueFun or final callback
+var timed = function timed(fun, entry) {
+  return function () {
+
+    var start = now();
+
+    try {
+      return fun.apply(this, arguments);
+    } finally {
+      var time = now() - start;
+      entry.recomputes++;
+      entry.total += time;
+      if (time > entry.max) entry.max = time;
+    }
+  };
+};
+
+// wraps the selector itself, keeping whatever was attached to it
+function counted(selector, entry) {
 
-    return def !== undefined ? newValue || def : newValue;
+  if (!entry) return selector;
+
+  var wrapped = function wrapped(state, props, r) {
+    entry.calls++;
+    return selector(state, props, r);
   };
+
+  return Object.assign(wrapped, selector);
 }
 
 /**
- * This is a basic selector function which computes a value when the keys have changed in state.
+ * Development mode, looks for the two things that quietly break memoization
+ * State mutated in place, the selector gets the same reference back, so it serves its last value
+ * every input is fingerprinted, and a same reference with a different fingerprint is reported
+ * with freeze the inputs are deep-frozen as well, so the mutation throws where it happens, in strict mode code
+ * A filter or valueFun that returns a new object every time, reported when it is deep equal to the last one
+ * unless the selector has an outputEqual of its own
  * 
- * @param { string[] } keys The keys of the State Object to determine if sel should compute
- * @param { function } sel The function to run that builds the final value
- * @param { function } [after] Optional function that can run after the value has been computed
+ * devMode(true), devMode({ freeze : true, warn : (message, info) => ... }), warn defaults to console.warn
+ * info is { label, kind, value }, label being the jselectors keys and the path, "todos.visible todos.items"
+ * 
+ * Like profileMode this is read when a selector is constructed, selectors built while it is off are not wrapped at all
+ * 
+ * @param { boolean|object } value 
+ * @returns { boolean }
  */
-function lightSelector() {
-  var keys = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
-  var sel = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : new Function();
-  var after = arguments[2];
+function devMode(value) {
 
+  developing = value ? Object.assign({ freeze: false, warn: defaultWarn }, value === true ? NO_OPTIONS : value) : null;
 
-  return function (s) {
+  return !!developing;
+}
 
-    var r = { ret: sel(s) };
+var developing = null;
 
-    keys.forEach(function (key) {
-      return r[key] = s[key];
-    });
+var defaultWarn = function defaultWarn(message) {
+  return typeof console !== "undefined" && console.warn(message);
+};
 
-    after && after(r, s, true);
+// same reference, or for a multiple array the same references item by item
+var sameInput = function sameInput(a, b) {
+  return a === b || Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every(function (item, index) {
+    return item === b[index];
+  });
+};
 
-    return function (s) {
+var fingerprint = function fingerprint(value) {
+  return JSON.stringify(serializable(value, [])) || "";
+};
 
-      var truthy = true;
+function deepFreeze(value) {
 
-      keys.forEach(function (key) {
-        if (r[key] !== (r[key] = s[key])) truthy = false;
-      });
+  if (!value || (typeof value === "undefined" ? "undefined" : _typeof(value)) !== "object" || Object.isFrozen(value) || !isPlain(value)) return value;
 
-      if (!truthy) {
-        r.ret = sel(s);
-        after && after(r, s);
+  Object.freeze(value);
+
+  Object.keys(value).forEach(function (name) {
+    return deepFreeze(value[name]);
+  });
+
+  return value;
+}
+
+// input wraps whatever finds the value a selector is tested on, output the function that builds its result
+function devWatch(meta, kind, key, path) {
+
+  if (!developing) return null;
+
+  var dev = developing,
+      label = labelOf(meta, key, path);
+
+  return {
+
+    input: function input(test) {
+
+      var last = void 0,
+          lastPrint = void 0,
+          started = false;
+
+      return function () {
+
+        var value = test.apply(this, arguments),
+            print = fingerprint(value);
+
+        if (started && sameInput(value, last) && print !== lastPrint) dev.warn("jselector: " + label + " was mutated in place, the selector got the same reference back and served its last value. Return new objects from reducers instead", { label: label, kind: kind, value: value });
+
+        if (dev.freeze) deepFreeze(value);
+
+        started = true;
+        last = Array.isArray(value) ? value.slice() : value;
+        lastPrint = print;
+
+        return value;
+      };
+    },
+
+    output: function output(fun) {
+
+      var last = void 0,
+          started = false;
+
+      return function () {
+
+        var value = fun.apply(this, arguments);
+
+        if (started && value !== last && value && (typeof value === "undefined" ? "undefined" : _typeof(value)) === "object" && deepEqual(last, value)) dev.warn("jselector: " + label + " returned a new value that is deep equal to the last one, so everything after it runs again for nothing. Memoize inside the function or set outputEqual to \"deep\"", { label: label, kind: kind, value: value });
+
+        started = true;
+        last = value;
+
+        return value;
+      };
+    }
+
+  };
+}
+
+/**
+ * A lightweight schema for what a selector selects, options.schema on a path selector or in a jselectors array spec
+ * The value is checked each time it is recomputed, a memoized call checks nothing
+ * 
+ * { type, enum, required, shape, items }
+ * type      "string", "number", "boolean", "object", "array", "function", "null" or "any", or an array of them
+ * enum      the values allowed
+ * required  null and undefined are a violation, otherwise they pass whatever the type
+ * shape     a schema per key of an object
+ * items     a schema for every item of an array
+ * A string on its own is a type, { shape : { id : "number", name : { type : "string", required : true } } }
+ * 
+ * Violations go to the reporter, see schemaMode, or are thrown in strict mode
+ * a thrown violation goes through the error policy like any other throw, see resolveErrors
+ */
+var SCHEMA_TYPES = ["string", "number", "boolean", "object", "array", "function", "null", "any"];
+
+var typeOf = function typeOf(value) {
+  return value === null ? "null" : Array.isArray(value) ? "array" : typeof value === "undefined" ? "undefined" : _typeof(value);
+};
+
+var normalizeSchema = function normalizeSchema(schema) {
+  return typeof schema === "string" ? { type: schema } : schema;
+};
+
+// a schema with a typo would pass everything, so it fails at construction instead
+function checkSchema(schema) {
+  var at = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+
+  schema = normalizeSchema(schema);
+
+  if (!schema || (typeof schema === "undefined" ? "undefined" : _typeof(schema)) !== "object") throw new Error("jselector: the schema at " + (formatPath(at) || "(value)") + " has to be a type or an object");[].concat(schema.type || []).forEach(function (type) {
+    if (SCHEMA_TYPES.indexOf(type) === -1) throw new Error("jselector: unknown schema type \"" + type + "\" at " + (formatPath(at) || "(value)") + ", expected " + SCHEMA_TYPES.join(", "));
+  });
+
+  if (schema.shape) Object.keys(schema.shape).forEach(function (name) {
+    return checkSchema(schema.shape[name], at.concat(name));
+  });
+
+  if (schema.items) checkSchema(schema.items, at.concat(0));
+}
+
+function collectViolations(value, schema, at, violations) {
+
+  schema = normalizeSchema(schema);
+
+  if (value === undefined || value === null) {
+    if (schema.required) violations.push({ path: formatPath(at), message: "is required" });
+    return violations;
+  }
+
+  var actual = typeOf(value),
+      types = [].concat(schema.type || []);
+
+  if (types.length && types.indexOf(actual) === -1 && types.indexOf("any") === -1) {
+    violations.push({ path: formatPath(at), message: "expected " + types.join(" or ") + ", got " + actual });
+    return violations;
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) violations.push({ path: formatPath(at), message: "expected one of " + schema.enum.map(function (item) {
+      return JSON.stringify(item);
+    }).join(", ") + ", got " + JSON.stringify(value) });
+
+  if (schema.shape && actual === "object") Object.keys(schema.shape).forEach(function (name) {
+    return collectViolations(value[name], schema.shape[name], at.concat(name), violations);
+  });
+
+  if (schema.items && actual === "array") value.forEach(function (item, index) {
+    return collectViolations(item, schema.items, at.concat(index), violations);
+  });
+
+  return violations;
+}
+
+/**
+ * Checks a value against a schema, what the selectors run on every recompute
+ * validateSchema({ id : "7" }, { shape : { id : "number" } }) => [ { path : "id", message : "expected number, got string" } ]
+ * 
+ * @param { any } value 
+ * @param { string|object } schema 
+ * @returns { object[] } the violations, empty when the value matches
+ */
+function validateSchema(value, schema) {
+
+  return collectViolations(value, schema, [], []);
+}
+
+/**
+ * Sets where violations go for every selector built from now on, read at construction like devMode
+ * schemaMode({ strict : true }), schemaMode({ report : (message, info) => ... }), report defaults to console.warn
+ * info is { label, kind, value, violations }
+ * 
+ * @param { object } [value] { strict, report }
+ * @returns { object }
+ */
+function schemaMode(value) {
+
+  return schemaOptions = Object.assign({ strict: false, report: defaultWarn }, value);
+}
+
+var schemaOptions = { strict: false, report: defaultWarn
+
+  // wraps the function that builds the value, like devWatch, so a selector without a schema carries nothing
+};function schemaWatch(meta, kind, key, path, schema) {
+
+  if (!schema) return null;
+
+  checkSchema(schema);
+
+  var mode = schemaOptions,
+      label = labelOf(meta, key, path);
+
+  return function (fun) {
+    return function () {
+
+      var value = fun.apply(this, arguments),
+          violations = validateSchema(value, schema);
+
+      if (violations.length) {
+
+        var message = "jselector: " + label + " does not match its schema, " + violations.map(function (violation) {
+          return (violation.path || "the value") + " " + violation.message;
+        }).join("; ");
+
+        if (mode.strict) {
+          var error = new TypeError(message);
+          error.label = label;
+          error.violations = violations;
+          throw error;
+        }
+
+        mode.report(message, { label: label, kind: kind, value: value, violations: violations });
       }
 
-      return r.ret;
+      return value;
     };
   };
 }
 
+var EQUALITY = { strict: strictEqual, shallow: shallowEqual, deep: deepEqual
+
+  // options.inputEqual and options.outputEqual can be "strict", "shallow", "deep" or a comparator (a, b) => boolean
+};function resolveEqual(equal) {
+
+  if (!equal) return strictEqual;
+
+  if (typeof equal === "function") return equal;
+
+  if (Object.prototype.hasOwnProperty.call(EQUALITY, equal)) return EQUALITY[equal];
+
+  throw new Error("jselector: unknown equality \"" + equal + "\", expected strict, shallow, deep or a function");
+}
+
+var ERROR_POLICIES = ["rethrow", "default", "keep"];
+
 /**
- * This is the dumb selector
- * It actually just returns the whole thing every time
- * Basically it's only useful for cases where you don't know what 
- * reducers need to be monitored for changes
- * It is smart enough to flag when changes have been made causing the parent object to be updated
- * to show a meta change
+ * What happens when a filter, valueFun, or the final callback of jselectors throws
+ * options.errors is "rethrow", the default, "default" to return options.fallback, or def when there is none,
+ * or "keep" to return the last good value
+ * options.onError(error, { kind, key, path, inputs }) is called first whatever the policy, inputs are the arguments of the failed call
  * 
- * There is another very useful feature for this single selector.
- * A use case would be when you have a list of items that all connect to state.
- * Let's say some of the properties are based on ownProps, but others are based on state properties.
- * The state properties would not change between each instance, so they could be statically cached
+ * Nothing of a failed run is remembered, so the next call runs it again, even with the same state
+ * A jselectors tree hands its errors and onError down to every selector below it, a selector's own options win
  * 
- * @param {any} path 
- * @param {any} filter 
- * @param {any} def 
- * @param {any} key 
- * @returns 
+ * @param {object} meta 
+ * @param {object} options { errors, fallback, onError }
+ * @returns { object }
  */
-function singleSelector(filter, unused, def, key) {
+function resolveErrors(meta, options) {
+
+  var inherited = meta && meta.errors || NO_OPTIONS,
+      policy = options.errors || inherited.policy || "rethrow";
+
+  if (ERROR_POLICIES.indexOf(policy) === -1) throw new Error("jselector: unknown error policy \"" + policy + "\", expected " + ERROR_POLICIES.join(", "));
+
+  return { policy: policy, onError: options.onError || inherited.onError, fallback: options.fallback };
+}
+
+// errors onError has already seen, so one that is rethrown up to where nothing can catch it is not reported twice
+var reportedErrors = new WeakSet();
+
+// the value to carry on with after a throw, or the throw itself
+function recover(errors, error, info, previousValue, def) {
+
+  if (errors.onError) {
+    errors.onError(error, info);
+    if (error && ((typeof error === "undefined" ? "undefined" : _typeof(error)) === "object" || typeof error === "function")) reportedErrors.add(error);
+  }
+
+  if (errors.policy === "keep") return previousValue;
+
+  if (errors.policy === "default") return errors.fallback !== undefined ? errors.fallback : def;
+
+  throw error;
+}
+
+/**
+ * Which values a selector hands back its def for
+ * "falsy" is how it always worked, so a legitimate 0, "" or false comes back as the def,
+ * "nullish" only swaps null and undefined, "undefined" only undefined
+ * options.defaults picks one for a selector, a jselectors tree hands its own down, and defaultsMode sets it for the rest
+ * 
+ * A def wrapped in defaultFactory is made by the selector, jselector("todos.items", null, defaultFactory(() => []))
+ * calls it the first time the default is needed and then returns that same object for the life of the selector,
+ * so the reference stays stable, any other def, functions included, is returned as it is
+ */
+var DEFAULT_POLICIES = {
+  falsy: function falsy(value) {
+    return !value;
+  },
+  nullish: function nullish(value) {
+    return value === null || value === undefined;
+  },
+  undefined: function (_undefined) {
+    function undefined(_x3) {
+      return _undefined.apply(this, arguments);
+    }
+
+    undefined.toString = function () {
+      return _undefined.toString();
+    };
+
+    return undefined;
+  }(function (value) {
+    return value === undefined;
+  })
+};
+
+var defaultsPolicy = "falsy";
+
+var checkDefaults = function checkDefaults(policy) {
+
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_POLICIES, policy)) throw new Error("jselector: unknown defaults policy \"" + policy + "\", expected " + Object.keys(DEFAULT_POLICIES).join(", "));
+
+  return policy;
+};
+
+/**
+ * Sets the defaults policy every selector built from now on uses, read at construction like accessorMode
+ * defaultsMode("nullish")
+ * 
+ * @param { string } [value] falsy, nullish or undefined, nothing goes back to falsy
+ * @returns { string }
+ */
+function defaultsMode(value) {
+
+  return defaultsPolicy = value ? checkDefaults(value) : "falsy";
+}
+
+var DEFAULT_FACTORY = typeof Symbol === "function" ? Symbol("jselector.defaultFactory") : "@@jselector.defaultFactory";
+
+/**
+ * Marks a def as a factory, see DEFAULT_POLICIES
+ * defaultFactory(() => []), each selector instance calls it once, the first time it needs the default
+ * 
+ * @param { function } make 
+ * @returns { object }
+ */
+function defaultFactory(make) {
+
+  if (typeof make !== "function") throw new TypeError("jselector: defaultFactory takes the function that makes the default");
+
+  return Object.freeze(_defineProperty({}, DEFAULT_FACTORY, make));
+}
+
+var identity = function identity(value) {
+  return value;
+};
+
+// the function a selector runs its result through on the way out, called without a value it gives the default itself
+function resolveDefault(meta, options, def) {
+
+  if (def === undefined) return identity;
+
+  var missing = DEFAULT_POLICIES[checkDefaults(options.defaults || meta && meta.defaults || defaultsPolicy)];
+
+  if (!def || !def[DEFAULT_FACTORY]) return function (value) {
+    return missing(value) ? def : value;
+  };
+
+  var make = def[DEFAULT_FACTORY];
+
+  var made = false,
+      fallback = void 0;
+
+  return function (value) {
+    return !missing(value) ? value : made ? fallback : (made = true, fallback = make());
+  };
+}
+
+/**
+ * This is a simple version of jselector that offers more functionality at the cost of less magic missles.
+ * There are two functions of concern, 
+ * 1) the test function, which gets the value of the base reducer
+ * 2) the value function, which derives the final value of the property to be returned
+ * 
+ * It is possible to test for multiple base reducer values by returning the multiple array (3rd argument)
+ * (state, ownProps, multiple) => Object.assign(multiple, [ state.prop1, state.prop2, ownProps ])
+ * 
+ * On the value function, the order of the arguments are state, testValue, and ownProps
+ * When there are multiple testValues, it is [ state, [ testValue1, testValue2, ... ], ownProps ]
+ * 
+ * options.inputEqual compares the test values (each item of the multiple array), options.outputEqual compares
+ * the new value with the last one, and when they are equal the last reference is returned
+ * 
+ * options.cacheSize keeps that many test values and their results, least recently used goes first
+ * useful when one selector is shared by components with different props, the default of 1 only keeps the last one
+ * hits and misses are counted on selector.stats either way
+ * 
+ * options.errors, options.fallback and options.onError decide what a throwing valueFun does, see resolveErrors
+ * 
+ * @param {function} testFun
+ * @param {function} valueFun 
+ * @param {any} def 
+ * @param {string} key 
+ * @param {object} [options] { inputEqual, outputEqual, cacheSize, errors, fallback, onError, defaults, schema }
+ * @returns 
+ */
+function simpleSelector(testFun, valueFun, def, key) {
+  var options = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : NO_OPTIONS;
+
+
+  var oldTest = void 0,
+      oldValue = void 0,
+      meta = this || { changes: [] };
+
+  var entry = profileEntry(meta, "simple", key, null),
+      watch = devWatch(meta, "simple", key, null),
+      validate = schemaWatch(meta, "simple", key, null, options.schema);
+
+  if (watch) {
+    testFun = watch.input(testFun);
+    if (!options.outputEqual) valueFun = watch.output(valueFun);
+  }
+
+  if (validate) valueFun = validate(valueFun);
+
+  if (entry) valueFun = timed(valueFun, entry);
+
+  if (options.cacheSize > 1) return counted(cachedSimpleSelector.call(meta, testFun, valueFun, def, key, options), entry);
+
+  var inputEqual = resolveEqual(options.inputEqual),
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      orDefault = resolveDefault(meta, options, def),
+      stats = { hits: 0, misses: 0, size: 1 };
+
+  var selector = function selector(state, props) {
+
+    var multiple = [];
+
+    var newTest = testFun(state, props, multiple);
+
+    if (inputEqual(oldTest, newTest)) {
+      stats.hits++;
+      return orDefault(oldValue);
+    }
+
+    // when testing multiple things, return the 'multiple' array with all of the values
+    // jselector(
+    //  (state, ownProps, multiple) => Object.assign(multiple, [ state.prop1, state.prop2, ownProps ])
+    //  , (state, [ prop1, prop2, ownProps ]) => {
+    //    ... code 
+    //  }
+    // )
+
+    else if (newTest === multiple && oldTest && !newTest.find(function (item, index) {
+        return !inputEqual(item, oldTest[index]);
+      })) {
+        stats.hits++;
+        return orDefault(oldValue);
+      }
+
+    stats.misses++;
+
+    var previousTest = oldTest,
+        start = now();
+
+    var newValue = void 0;
+
+    try {
+      newValue = valueFun(state, newTest, props);
+      // only a run that went through is remembered
+      oldTest = newTest;
+    } catch (error) {
+      newValue = recover(errors, error, { kind: "simple", key: key, path: null, inputs: [state, newTest, props] }, oldValue, orDefault());
+    }
+
+    var duration = now() - start;
+
+    // an equal output keeps the old reference, so nothing downstream sees a change
+    if (outputEqual(oldValue, newValue)) return orDefault(oldValue);
+
+    pushChange(meta, { kind: "simple", key: key, path: null, oldValue: oldValue, newValue: newValue, duration: duration, props: props, oldTest: previousTest, newTest: newTest });
+
+    oldValue = newValue;
+
+    return orDefault(newValue);
+  };
+
+  selector.stats = stats;
+
+  describe(selector, function () {
+    return { kind: "simple", key: key, path: null, def: def, value: oldValue, stats: stats };
+  });
+
+  return counted(selector, entry);
+}
+
+/**
+ * The multi entry version of simpleSelector, used when options.cacheSize is above 1
+ * Entries are kept most recent first, so the lookup is a short scan and eviction pops the end
+ * A hit that returns something other than the last returned value still counts as a change for the parent
+ * 
+ * @param {function} testFun
+ * @param {function} valueFun 
+ * @param {any} def 
+ * @param {string} key 
+ * @param {object} options { inputEqual, outputEqual, cacheSize }
+ * @returns 
+ */
+function cachedSimpleSelector(testFun, valueFun, def, key, options) {
+
+  var oldValue = void 0,
+      oldTest = void 0;
+
+  var meta = this,
+      inputEqual = resolveEqual(options.inputEqual),
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      orDefault = resolveDefault(meta, options, def),
+      size = options.cacheSize,
+      entries = [],
+      stats = { hits: 0, misses: 0, size: size
+
+    // a multiple tuple matches another tuple item by item, anything else is compared as a whole
+    // every rather than find, find hands back the mismatched item itself and a 0 or "" there would read as a match
+  };var matches = function matches(entry, newTest, isMultiple) {
+    return isMultiple ? entry.isMultiple && entry.test.length === newTest.length && newTest.every(function (item, index) {
+      return inputEqual(item, entry.test[index]);
+    }) : !entry.isMultiple && inputEqual(entry.test, newTest);
+  };
+
+  var selector = function selector(state, props) {
+
+    var multiple = [],
+        newTest = testFun(state, props, multiple),
+        isMultiple = newTest === multiple;
+
+    var newValue = void 0,
+        duration = 0,
+        index = entries.findIndex(function (entry) {
+      return matches(entry, newTest, isMultiple);
+    });
+
+    if (index !== -1) {
+
+      var entry = entries[index];
+
+      stats.hits++;
+
+      // move to the front
+      if (index > 0) {
+        entries.splice(index, 1);
+        entries.unshift(entry);
+      }
+
+      newValue = entry.value;
+    } else {
+
+      stats.misses++;
+
+      var start = now();
+
+      var failed = false;
+
+      try {
+        newValue = valueFun(state, newTest, props);
+      } catch (error) {
+        failed = true;
+        newValue = recover(errors, error, { kind: "simple", key: key, path: null, inputs: [state, newTest, props] }, oldValue, orDefault());
+      }
+
+      duration = now() - start;
+
+      // an equal output keeps the old reference, so nothing downstream sees a change
+      if (outputEqual(oldValue, newValue)) newValue = oldValue;
+
+      // a failed run gets no entry, so the same test value runs it again
+      if (!failed) entries.unshift({ test: newTest, value: newValue, isMultiple: isMultiple });
+
+      if (entries.length > size) entries.pop();
+    }
+
+    if (newValue !== oldValue) {
+      pushChange(meta, { kind: "simple", key: key, path: null, oldValue: oldValue, newValue: newValue, duration: duration, props: props, oldTest: oldTest, newTest: newTest });
+      oldValue = newValue;
+    }
+
+    oldTest = newTest;
+
+    return orDefault(newValue);
+  };
+
+  selector.stats = stats;
+
+  describe(selector, function () {
+    return { kind: "simple", key: key, path: null, def: def, value: oldValue, stats: stats, entries: entries.length };
+  });
+
+  return selector;
+}
+
+/**
+ * This is a basic selector function which computes a value when the keys have changed in state.
+ * 
+ * @param { string[] } keys The keys of the State Object to determine if sel should compute
+ * @param { function } sel The function to run that builds the final value
+ * @param { function } [after] Optional function that can run after the value has been computed
+ */
+function lightSelector() {
+  var keys = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+  var sel = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : function () {};
+  var after = arguments[2];
+
+
+  return function (s) {
+
+    var r = { ret: sel(s) };
+
+    keys.forEach(function (key) {
+      return r[key] = s[key];
+    });
+
+    after && after(r, s, true);
+
+    return function (s) {
+
+      var truthy = true;
+
+      keys.forEach(function (key) {
+        if (r[key] !== (r[key] = s[key])) truthy = false;
+      });
+
+      if (!truthy) {
+        r.ret = sel(s);
+        after && after(r, s);
+      }
+
+      return r.ret;
+    };
+  };
+}
+
+/**
+ * This is the dumb selector
+ * It actually just returns the whole thing every time
+ * Basically it's only useful for cases where you don't know what 
+ * reducers need to be monitored for changes
+ * It is smart enough to flag when changes have been made causing the parent object to be updated
+ * to show a meta change
+ * trackedSelector is the version that works out what to monitor by itself
+ * 
+ * There is another very useful feature for this single selector.
+ * A use case would be when you have a list of items that all connect to state.
+ * Let's say some of the properties are based on ownProps, but others are based on state properties.
+ * The state properties would not change between each instance, so they could be statically cached
+ * 
+ * options.outputEqual decides if the new value is the same as the last one, there is no separate input here
+ * 
+ * @param {any} path 
+ * @param {any} filter 
+ * @param {any} def 
+ * @param {any} key 
+ * @param {object} [options] { outputEqual, errors, fallback, onError, defaults, schema }
+ * @returns 
+ */
+function singleSelector(filter, unused, def, key) {
+  var options = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : NO_OPTIONS;
+
+
+  var meta = this || { changes: [] },
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      orDefault = resolveDefault(meta, options, def),
+      entry = profileEntry(meta, "single", key, null),
+      watch = devWatch(meta, "single", key, null),
+      validate = schemaWatch(meta, "single", key, null, options.schema);
+
+  var previousValue = void 0;
+
+  if (watch && !options.outputEqual) filter = watch.output(filter);
+
+  if (validate) filter = validate(filter);
+
+  // the filter runs on every call here, so every call is a recompute
+  if (entry) filter = timed(filter, entry);
+
+  var selector = function selector(state, props) {
+
+    var start = now();
+
+    var newValue = void 0;
+
+    try {
+      newValue = filter(state, props);
+    } catch (error) {
+      newValue = recover(errors, error, { kind: "single", key: key, path: null, inputs: [state, props] }, previousValue, orDefault());
+    }
+
+    if (outputEqual(previousValue, newValue)) return orDefault(previousValue);
+
+    pushChange(meta, { kind: "single", key: key, path: null, oldValue: previousValue, newValue: newValue, duration: now() - start, props: props, oldTest: undefined, newTest: undefined });
+
+    previousValue = newValue;
+
+    return orDefault(newValue);
+  };
+
+  describe(selector, function () {
+    return { kind: "single", key: key, path: null, def: def, value: previousValue };
+  });
+
+  return counted(selector, entry);
+}
+
+/**
+ * The async version of simpleSelector, the valueFun may return a Promise
+ * Memoizes on the test value the same way, including the multiple array, and returns { status, value, error }
+ * status is "pending" until the promise settles, then "resolved" or "error", the last value is kept while pending
+ * The object is replaced whenever the status changes, so its reference is as stable as any other selector result
+ * 
+ * If the test value changes before a promise settles, that result is dropped
+ * When a result comes in, selector.subscribe listeners get the new state, and a jselectors tree it is part of
+ * runs again with the last state and props, so the tree's own subscribers see the change too
+ * A listener or the tree throwing at that point goes to onError, the tree's or options.onError, see settleFailed
+ * 
+ * Returns a spec, use it as a key in jselectors, or pass it to jselector to get the selector
+ * jselector({ results : asyncSelector(state => state.query, (state, query) => search(query), []) })
+ * 
+ * @param {function} testFun
+ * @param {function} valueFun 
+ * @param {any} [def] the value until something resolves
+ * @param {object} [options] { inputEqual, outputEqual, onError }
+ * @returns 
+ */
+function asyncSelector(testFun, valueFun, def, options) {
+
+  return selectorSpec(function (key, relayOptions) {
+    return buildAsyncSelector.call(this, testFun, valueFun, def, key, options || relayOptions || NO_OPTIONS);
+  });
+}
+
+function buildAsyncSelector(testFun, valueFun, def, key, options) {
+
+  var meta = this || { changes: [] },
+      inputEqual = resolveEqual(options.inputEqual),
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      entry = profileEntry(meta, "async", key, null),
+      listeners = [];
+
+  var oldTest = void 0,
+      started = false,
+      latest = 0,
+      current = { status: "pending", value: def, error: undefined },
+      returned = current;
+
+  if (entry) valueFun = timed(valueFun, entry);
+
+  // every jselectors this is nested in keeps its last arguments, so the tree can run again on settle
+  for (var m = meta; m; m = m.parent) {
+    m.async = true;
+  }var nextState = function nextState(status, value, error) {
+    return status === "resolved" ? { status: status, value: outputEqual(current.value, value) ? current.value : value, error: undefined } : { status: status, value: current.value, error: error
+
+      // only for promises, a synchronous result is already in hand when the selector returns
+    };
+  };function settle(generation, status, value, error) {
+
+    // a newer test value came in while this one was in flight
+    if (generation !== latest) return;
+
+    current = nextState(status, value, error);
+
+    // each listener on its own, so one that throws doesn't keep the rest, or the tree, from hearing about it
+    listeners.slice().forEach(function (listener) {
+      try {
+        listener(current);
+      } catch (error) {
+        settleFailed(error, "listener");
+      }
+    });
+
+    try {
+      if (meta.settled) meta.settled();
+    } catch (error) {
+      settleFailed(error, "tree");
+    }
+  }
+
+  // nothing called us that could take a throw here, it would only be an unhandled rejection
+  // so it goes to onError, or to console.error when there is none, whatever the policy
+  function settleFailed(error, from) {
+
+    if (error && reportedErrors.has(error)) return;
+
+    if (errors.onError) errors.onError(error, { kind: "async", key: key, path: null, inputs: [current], from: from });else if (typeof console !== "undefined") console.error(error);
+  }
+
+  function run(state, test, props) {
+
+    var generation = ++latest;
+
+    var result = void 0;
+
+    try {
+      result = valueFun(state, test, props);
+    } catch (error) {
+      current = nextState("error", undefined, error);
+      return;
+    }
+
+    if (result && typeof result.then === "function") {
+      current = { status: "pending", value: current.value, error: undefined };
+      result.then(function (value) {
+        return settle(generation, "resolved", value);
+      }, function (error) {
+        return settle(generation, "error", undefined, error);
+      });
+    } else current = nextState("resolved", result);
+  }
+
+  var selector = function selector(state, props) {
+
+    var multiple = [],
+        newTest = testFun(state, props, multiple),
+        previousTest = oldTest;
+
+    if (!started || !(inputEqual(oldTest, newTest) || newTest === multiple && oldTest && oldTest.length === newTest.length && !newTest.find(function (item, index) {
+      return !inputEqual(item, oldTest[index]);
+    }))) {
+      started = true;
+      oldTest = newTest;
+      run(state, newTest, props);
+    }
+
+    // either this call started something, or a promise settled since the last call
+    if (current !== returned) {
+      pushChange(meta, { kind: "async", key: key, path: null, oldValue: returned, newValue: current, duration: 0, props: props, oldTest: previousTest, newTest: newTest });
+      returned = current;
+    }
+
+    return current;
+  };
+
+  selector.subscribe = function (listener) {
+
+    listeners.push(listener);
+
+    return function () {
+      var index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  };
+
+  describe(selector, function () {
+    return { kind: "async", key: key, path: null, def: def, value: current };
+  });
+
+  return counted(selector, entry);
+}
+
+/**
+ * The autotracking version of singleSelector, it records which paths of state and ownProps the function reads
+ * and on the next call only runs it again when one of those changed
+ * Reading an object as a whole, returning it or Object.keys on it, makes its reference the dependency
+ * selector.dependencies() lists what is being watched, as paths parsePath understands
+ * 
+ * Only plain objects and arrays are tracked, anything else is a dependency by reference
+ * Without Proxy support this is a singleSelector, which runs on every call
+ * 
+ * Returns a spec, use it as a key in jselectors, or pass it to jselector to get the selector
+ * jselector({ visible : trackedSelector((state, props) => state.todos.items.filter(item => item.list === props.list)) })
+ * 
+ * @param {function} fun 
+ * @param {any} [def] 
+ * @param {object} [options] { outputEqual, errors, fallback, onError, defaults }
+ * @returns 
+ */
+function trackedSelector(fun, def, options) {
+
+  return selectorSpec(function (key, relayOptions) {
+    return buildTrackedSelector.call(this, fun, def, key, options || relayOptions || NO_OPTIONS);
+  });
+}
+
+var hasOwn = function hasOwn(target, prop) {
+  return Object.prototype.hasOwnProperty.call(target, prop);
+};
+
+// one tracking pass, proxies for state and props plus what was read through them
+function track(state, props) {
+
+  var records = new Map(),
+      proxies = new WeakMap(),
+      raws = new WeakMap();
+
+  var record = function record(source, path, value, whole) {
+
+    var id = source + JSON.stringify(path),
+        found = records.get(id);
+
+    if (found) found.whole = found.whole || whole;else records.set(id, { id: id, source: source, path: path, value: value, whole: whole });
+  };
+
+  var wrap = function wrap(source, path, value) {
+
+    if (!value || (typeof value === "undefined" ? "undefined" : _typeof(value)) !== "object" || !isPlain(value)) return value;
+
+    if (proxies.has(value)) return proxies.get(value);
+
+    var proxy = new Proxy(value, {
+      get: function get(target, prop, receiver) {
+
+        var result = Reflect.get(target, prop, receiver);
+
+        // symbols and inherited methods like map or length on the prototype are not state
+        if ((typeof prop === "undefined" ? "undefined" : _typeof(prop)) === "symbol" || !hasOwn(target, prop) && prop in target) return result;
+
+        var childPath = path.concat(prop),
+            descriptor = Object.getOwnPropertyDescriptor(target, prop);
+
+        // a frozen property has to come back as itself, so it can only be watched whole
+        if (descriptor && !descriptor.configurable && !descriptor.writable) {
+          record(source, childPath, result, true);
+          return result;
+        }
+
+        record(source, childPath, result, false);
+
+        return wrap(source, childPath, result);
+      },
+      has: function has(target, prop) {
+
+        if ((typeof prop === "undefined" ? "undefined" : _typeof(prop)) !== "symbol") record(source, path.concat(prop), target[prop], false);
+
+        return Reflect.has(target, prop);
+      },
+      ownKeys: function ownKeys(target) {
+
+        record(source, path, value, true);
+
+        return Reflect.ownKeys(target);
+      }
+    });
+
+    proxies.set(value, proxy);
+    raws.set(proxy, { source: source, path: path, value: value });
+
+    return proxy;
+  };
+
+  // proxies that end up in the result are swapped back for the real thing, which then counts as read whole
+  // the objects the function built are copied where that happens, never changed, and a frozen one is frozen again
+  var _unwrap = function _unwrap(value, seen) {
+
+    if (!value || (typeof value === "undefined" ? "undefined" : _typeof(value)) !== "object") return value;
+
+    var tracked = raws.get(value);
+
+    if (tracked) {
+      record(tracked.source, tracked.path, tracked.value, true);
+      return tracked.value;
+    }
+
+    if (seen.has(value)) return seen.get(value);
+
+    if (!isPlain(value)) return value;
+
+    var copy = value;
+
+    seen.set(value, value);
+
+    Object.keys(value).forEach(function (key) {
+
+      var child = value[key],
+          next = _unwrap(child, seen);
+
+      if (next === child) return;
+
+      if (copy === value) seen.set(value, copy = copyOf(value));
+
+      copy[key] = next;
+    });
+
+    return copy !== value && Object.isFrozen(value) ? Object.freeze(copy) : copy;
+  };
+
+  // only the deepest reads matter, unless something was read whole
+  var dependencies = function dependencies() {
+
+    var parents = new Set();
+
+    records.forEach(function (_ref3) {
+      var source = _ref3.source,
+          path = _ref3.path;
+      return path.length && parents.add(source + JSON.stringify(path.slice(0, -1)));
+    });
+
+    return Array.from(records.values()).filter(function (dep) {
+      return dep.whole || !parents.has(dep.id);
+    });
+  };
+
+  return {
+    state: wrap("state", [], state),
+    props: wrap("props", [], props),
+    unwrap: function unwrap(value) {
+      return _unwrap(value, new Map());
+    },
+    dependencies: dependencies
+  };
+}
+
+function buildTrackedSelector(fun, def, key, options) {
+
+  if (typeof Proxy !== "function") return singleSelector.call(this, fun, undefined, def, key, options);
+
+  var meta = this || { changes: [] },
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      orDefault = resolveDefault(meta, options, def),
+      entry = profileEntry(meta, "tracked", key, null);
+
+  var previousValue = void 0,
+      dependencies = null;
+
+  if (entry) fun = timed(fun, entry);
+
+  var changed = function changed(state, props) {
+
+    for (var x = 0; x < dependencies.length; x++) {
+      var _dependencies$x = dependencies[x],
+          source = _dependencies$x.source,
+          path = _dependencies$x.path,
+          value = _dependencies$x.value;
+
+
+      if (digPlain(source === "state" ? state : props, path) !== value) return true;
+    }
+
+    return false;
+  };
+
+  var selector = function selector(state, props) {
+
+    if (dependencies && !changed(state, props)) return orDefault(previousValue);
+
+    var start = now(),
+        tracking = track(state, props),
+        oldTest = dependencies;
+
+    var newValue = void 0;
+
+    // a failed run keeps the old dependencies, or none at all, so the next call runs it again
+    try {
+      newValue = tracking.unwrap(fun(tracking.state, tracking.props));
+      dependencies = tracking.dependencies();
+    } catch (error) {
+      newValue = recover(errors, error, { kind: "tracked", key: key, path: null, inputs: [state, props] }, previousValue, orDefault());
+      dependencies = null;
+    }
+
+    if (!outputEqual(previousValue, newValue)) {
+      pushChange(meta, { kind: "tracked", key: key, path: null, oldValue: previousValue, newValue: newValue, duration: now() - start, props: props, oldTest: oldTest, newTest: dependencies });
+      previousValue = newValue;
+    }
+
+    return orDefault(previousValue);
+  };
+
+  selector.dependencies = function () {
+    return (dependencies || []).map(function (_ref4) {
+      var source = _ref4.source,
+          path = _ref4.path,
+          whole = _ref4.whole;
+      return {
+        source: source,
+        path: formatPath(path),
+        whole: whole
+      };
+    });
+  };
+
+  describe(selector, function () {
+    return { kind: "tracked", key: key, path: null, def: def, value: previousValue, dependencies: selector.dependencies() };
+  });
+
+  return counted(selector, entry);
+}
+
+/*
+
+// TODO: this tested only slightly faster than the looseDigger version. Surprisingly so!
+// because of the safety aspects of looseDigger, I see no benefit to using this more strict version
+// it is here only as an example
+
+function buildRidgedDigger (split) {
+
+  let body = "return root"
+
+  for (var x = 0; x < split.length; x++)
+    body += '["' + split[x] + '"]'
+
+  return Function('root', body)
+
+}
+*/
+
+var pathError = function pathError(path, position, reason) {
+
+  var error = new SyntaxError("jselector: " + reason + " at position " + position + " in path \"" + path + "\"");
+
+  error.path = path;
+  error.position = position;
+  error.reason = reason;
+
+  return error;
+};
+
+// keys that reach the prototype instead of the object, reading them leaks it and writing them pollutes it
+var UNSAFE_KEYS = ["__proto__"];
+
+var isUnsafeKey = function isUnsafeKey(key) {
+  return UNSAFE_KEYS.indexOf(key) !== -1;
+};
+
+// the query segments, anything in a parsed path that is an object is one of these
+var DESCEND = Object.freeze({ query: "descend" });
+
+var AGGREGATES = {
+  count: function count(list) {
+    return list.length;
+  },
+  sum: function sum(list) {
+    return list.reduce(function (total, value) {
+      return total + (Number(value) || 0);
+    }, 0);
+  },
+  min: function min(list) {
+    return list.length ? Math.min.apply(Math, list) : undefined;
+  },
+  max: function max(list) {
+    return list.length ? Math.max.apply(Math, list) : undefined;
+  },
+  avg: function avg(list) {
+    return list.length ? AGGREGATES.sum(list) / list.length : undefined;
+  }
+};
+
+var isQuery = function isQuery(segment) {
+  return segment !== null && (typeof segment === "undefined" ? "undefined" : _typeof(segment)) === "object" && segment.query !== undefined;
+};
+
+// {ownProps.userId} and {state.ui.selectedId} segments, the key is looked up on every call
+var isTemplate = function isTemplate(segment) {
+  return segment !== null && (typeof segment === "undefined" ? "undefined" : _typeof(segment)) === "object" && segment.template !== undefined;
+};
+
+// reads a quoted string starting at the opening quote, a backslash escapes the next character
+function readQuoted(path, x) {
+
+  var quote = path[x++],
+      length = path.length;
+
+  var value = "";
+
+  while (x < length && path[x] !== quote) {
+    if (path[x] === "\\") x++;
+    if (x < length) value += path[x++];
+  }
+
+  if (x >= length) throw pathError(path, x, "unterminated quoted key");
+
+  return { value: value, end: x + 1 };
+}
+
+// true, false, null and numbers are literals, anything else is a string
+function readLiteral(token) {
+
+  if (token === "true" || token === "false") return token === "true";
+
+  if (token === "null") return null;
+
+  if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+
+  return token;
+}
+
+// [?done], [?done=true], [?author.name="Ann"], [?price>=10], x points at the ?
+function readFilter(path, x) {
+
+  var start = ++x,
+      length = path.length;
+
+  while (x < length && "=!<>]".indexOf(path[x]) === -1) {
+    x++;
+  }var target = path.slice(start, x).trim();
+
+  if (!target) throw pathError(path, start, "empty filter");
+
+  var segments = void 0,
+      op = null,
+      value = void 0;
+
+  try {
+    segments = parsePath(target);
+  } catch (e) {
+    throw pathError(path, start + e.position, e.reason);
+  }
+
+  if (segments.find(isQuery)) throw pathError(path, start, "filters can only test plain paths");
+
+  var match = /^(!=|<=|>=|=|<|>)/.exec(path.slice(x));
+
+  if (match) {
+
+    op = match[1];
+    x += op.length;
+
+    while (path[x] === " ") {
+      x++;
+    }if (path[x] === '"' || path[x] === "'") {
+      var quoted = readQuoted(path, x);
+      value = quoted.value;
+      x = quoted.end;
+    } else {
+
+      var valueStart = x;
+
+      while (x < length && path[x] !== "]") {
+        x++;
+      }if (!path.slice(valueStart, x).trim()) throw pathError(path, valueStart, "expected a value after " + op);
+
+      value = readLiteral(path.slice(valueStart, x).trim());
+    }
+
+    while (path[x] === " ") {
+      x++;
+    }
+  }
+
+  return { segment: { query: "filter", path: segments, op: op, value: value }, end: x };
+}
+
+/**
+ * Parses a path string into an array of segments
+ * Strings are keys, numbers are indices, negative numbers count back from the end, and "*" is the jin wildcard
+ * 
+ * todos.items[0].title      => [ "todos", "items", 0, "title" ]
+ * byId["user.42"].name      => [ "byId", "user.42", "name" ]
+ * todos.items[-1]           => [ "todos", "items", -1 ]
+ * users.*.name              => [ "users", "*", "name" ]
+ * 
+ * Inside quoted keys a backslash escapes the next character, so ["it\'s"] and ['a\\b'] are both valid
+ * Throws a SyntaxError with the path and position when the path is malformed, or when it uses a key like __proto__
+ * 
+ * There is also a query dialect, these come back as objects with a query property, see buildQuery
+ * todos.items[?done=true].id   filter, = != < <= > >= against true, false, null, numbers or strings, [?done] tests truthy
+ * entities.**.errors           recursive descent, every value below entities, then errors of each
+ * users.*.{id,name}            projection, picks those keys into a new object
+ * todos.items.count()          aggregate, count() sum() min() max() avg(), only as the last segment
+ * 
+ * And templates, a key taken from ownProps or state on every call, these come back as objects with a template property
+ * entities.users.{ownProps.userId}.name
+ * entities.users.{state.ui.selectedId}.name
+ * 
+ * @param { string } path 
+ * @returns { Array<string|number|object> }
+ */
+function parsePath(path) {
+
+  var segments = [],
+      length = path.length;
+
+  var x = 0,
+      afterDot = false;
+
+  while (x < length) {
+
+    var char = path[x];
+
+    if (char === "[" && !afterDot) {
+
+      char = path[++x];
+
+      // quoted key, everything up to the matching quote is taken literally
+      if (char === '"' || char === "'") {
+
+        var quoted = readQuoted(path, x);
+
+        if (isUnsafeKey(quoted.value)) throw pathError(path, quoted.end - 1, "\"" + quoted.value + "\" is not allowed as a key");
+
+        segments.push(quoted.value);
+        x = quoted.end;
+      } else if (char === "?") {
+
+        var filter = readFilter(path, x);
+
+        segments.push(filter.segment);
+        x = filter.end;
+      } else {
+
+        var end = path.indexOf("]", x);
+
+        if (end === -1) throw pathError(path, x - 1, "unclosed bracket");
+
+        var inner = path.slice(x, end);
+
+        if (inner === "*") segments.push(inner);else if (/^-?\d+$/.test(inner)) {
+          if (Number.isSafeInteger(Number(inner))) segments.push(Number(inner));else throw pathError(path, x, "index " + inner + " is out of range");
+        } else throw pathError(path, x, "expected an index, a quoted key, a filter or * inside brackets, found \"" + inner + "\"");
+
+        x = end;
+      }
+
+      if (path[x] !== "]") throw pathError(path, x, "expected ]");
+
+      x++;
+    } else if (char === "{" && /^\{\s*(ownProps|state)[.[]/.test(path.slice(x))) {
+
+      var _end = path.indexOf("}", x);
+
+      if (_end === -1) throw pathError(path, x, "unclosed template");
+
+      var source = void 0;
+
+      try {
+        source = parsePath(path.slice(x + 1, _end).trim());
+      } catch (e) {
+        throw pathError(path, x + 1 + e.position, e.reason);
+      }
+
+      if (source.find(function (segment) {
+        return (typeof segment === "undefined" ? "undefined" : _typeof(segment)) === "object" || segment === "*";
+      })) throw pathError(path, x, "templates can only read plain paths");
+
+      segments.push({ template: source[0], path: source.slice(1) });
+      x = _end + 1;
+
+      if (x < length && path[x] !== "." && path[x] !== "[") throw pathError(path, x, "expected . or [ after a template");
+    } else if (char === "{") {
+
+      var _end2 = path.indexOf("}", x);
+
+      if (_end2 === -1) throw pathError(path, x, "unclosed projection");
+
+      var keys = path.slice(x + 1, _end2).split(",").map(function (key) {
+        return key.trim();
+      });
+
+      keys.forEach(function (key) {
+        if (!key || /[.[\]{}'"]/.test(key) || isUnsafeKey(key)) throw pathError(path, x, "\"" + key + "\" is not a valid projection key");
+      });
+
+      segments.push({ query: "project", keys: keys });
+      x = _end2 + 1;
+
+      if (x < length && path[x] !== "." && path[x] !== "[") throw pathError(path, x, "expected . or [ after a projection");
+    } else {
+
+      var start = x;
+
+      while (x < length && path[x] !== "." && path[x] !== "[") {
+        if (path[x] === "]") throw pathError(path, x, "unexpected ]");
+        x++;
+      }
+
+      if (x === start) throw pathError(path, x, "empty segment");
+
+      var key = path.slice(start, x),
+          aggregate = /^(\w+)\(\)$/.exec(key);
+
+      if (isUnsafeKey(key)) throw pathError(path, start, "\"" + key + "\" is not allowed as a key");
+
+      if (aggregate && !Object.prototype.hasOwnProperty.call(AGGREGATES, aggregate[1])) throw pathError(path, start, "unknown aggregate " + key + ", expected " + Object.keys(AGGREGATES).map(function (name) {
+        return name + "()";
+      }).join(" "));
+
+      if (aggregate && x !== length) throw pathError(path, start, key + " has to be the last segment");
+
+      segments.push(aggregate ? { query: "aggregate", name: aggregate[1] } : key === "**" ? DESCEND : key);
+    }
+
+    afterDot = path[x] === ".";
+
+    if (afterDot && ++x === length) throw pathError(path, x, "empty segment");
+  }
+
+  return segments;
+}
+/**
+ * The other way around from parsePath, turns segments back into a path string
+ * [ "todos", "items", 0, "title" ] => todos.items[0].title, [ "byId", "user.42" ] => byId["user.42"]
+ * 
+ * @param { Array<string|number> } segments 
+ * @returns { string }
+ */
+function formatPath(segments) {
+
+  return segments.reduce(function (path, segment) {
+    return typeof segment === "number" || /^\d+$/.test(segment) ? path + "[" + segment + "]" : /^[A-Za-z_$][\w$]*$/.test(segment) ? path + (path ? "." : "") + segment : path + "[" + JSON.stringify(segment) + "]";
+  }, "");
+}
+
+/**
+ * Interpreter mode, for environments where a Content-Security-Policy blocks the Function constructor
+ * Every place that generates code has a closure based twin that gives the same results, just slower
+ * By default this is detected the first time a selector is built, call interpreterMode(true) to force it
+ * The mode is read when a selector is constructed, so set it before building selectors
+ * 
+ * @param { boolean } [value] true to interpret, false to compile, undefined to go back to detection
+ * @returns { boolean } the mode now in effect
+ */
+function interpreterMode(value) {
+
+  interpreted = value;
+
+  return isInterpreted();
+}
+
+var interpreted = void 0;
+
+function isInterpreted() {
+
+  if (interpreted === undefined) try {
+    interpreted = !Function("return true")();
+  } catch (e) {
+    interpreted = true;
+  }
+
+  return interpreted;
+}
+
+var access = function access(target, segment) {
+  return typeof segment === "number" && segment < 0 ? target[target.length + segment] : target[segment];
+};
+
+// a key that is not found as written gets a second try as a number, or as a string, since paths can't say which
+var retryKey = function retryKey(segment) {
+  return typeof segment === "number" ? String(segment) : /^-?\d+$/.test(segment) ? Number(segment) : undefined;
+};
+
+var NOT_FOUND = {};
+
+// the key as the container already has it, so a write replaces the entry instead of adding a twin next to it
+var existingKey = function existingKey(value, segment) {
+  return value.has(segment) || !value.has(retryKey(segment)) ? segment : retryKey(segment);
+};
+
+/**
+ * Accessors teach the diggers about containers that are not read with brackets
+ * An accessor is { name, test(value), get(value, segment), children(value) }, children is only used by query wildcards
+ * Plain objects and arrays never go through them, and anything no accessor claims is read with brackets,
+ * which already covers class instances with getters
+ * The lenses also use set(value, segment, child) and remove(value, segment), both return a new container
+ */
+var accessors = exports.accessors = {
+
+  map: {
+    name: "map",
+    test: function test(value) {
+      return typeof Map === "function" && value instanceof Map;
+    },
+    get: function get(value, segment) {
+      return value.has(segment) ? value.get(segment) : value.get(retryKey(segment));
+    },
+    children: function children(value) {
+      return Array.from(value.values());
+    },
+    set: function set(value, segment, child) {
+      return new Map(value).set(existingKey(value, segment), child);
+    },
+    remove: function remove(value, segment) {
+      var copy = new Map(value);
+      return copy.delete(existingKey(value, segment)) ? copy : value;
+    }
+  },
+
+  // sets have no keys, so only indices work, in insertion order
+  set: {
+    name: "set",
+    test: function test(value) {
+      return typeof Set === "function" && value instanceof Set;
+    },
+    get: function get(value, segment) {
+      return typeof segment === "number" || /^-?\d+$/.test(segment) ? access(Array.from(value), Number(segment)) : undefined;
+    },
+    children: function children(value) {
+      return Array.from(value);
+    }
+  },
+
+  // Immutable.js collections and records, recognised by the markers Immutable puts on them so it never has to be required here
+  immutable: {
+    name: "immutable",
+    test: function test(value) {
+      return !!(value["@@__IMMUTABLE_ITERABLE__@@"] || value["@@__IMMUTABLE_RECORD__@@"]);
+    },
+    get: function get(value, segment) {
+      var found = value.get(segment, NOT_FOUND);
+      return found !== NOT_FOUND ? found : value.get(retryKey(segment));
+    },
+
+    children: function children(value) {
+      return value.valueSeq().toArray();
+    },
+    set: function set(value, segment, child) {
+      return value.set(existingKey(value, segment), child);
+    },
+    remove: function remove(value, segment) {
+      return value.has(existingKey(value, segment)) ? value.delete(existingKey(value, segment)) : value;
+    }
+  },
+
+  // for your own containers that keep their values behind a get() method
+  getMethod: function getMethod(Class) {
+    var name = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : Class.name;
+    return {
+      name: name,
+      test: function test(value) {
+        return value instanceof Class;
+      },
+      get: function get(value, segment) {
+        return value.get(segment);
+      }
+    };
+  }
+
+};
+
+var defaultAccessors = [];
+
+/**
+ * Sets the accessors every selector built from now on uses, like interpreterMode this is read at construction
+ * options.accessors on a single selector takes precedence, the default is none, which keeps plain bracket digging
+ * accessorMode([ accessors.map, accessors.immutable ])
+ * 
+ * @param { object[] } [list] 
+ * @returns { object[] }
+ */
+function accessorMode(list) {
+
+  return defaultAccessors = list || [];
+}
+
+var isPlain = function isPlain(thing) {
+
+  if (Array.isArray(thing)) return true;
+
+  var proto = Object.getPrototypeOf(thing);
+
+  return proto === Object.prototype || proto === null;
+};
+
+// whether jin can do a wildcard path on its own, every object it would visit being a plain object or array
+function plainAlong(value, rest, index) {
+
+  if (!value || (typeof value === "undefined" ? "undefined" : _typeof(value)) !== "object" || index === rest.length) return true;
+
+  if (!isPlain(value)) return false;
+
+  return rest[index] === "*" ? Object.keys(value).every(function (key) {
+    return plainAlong(value[key], rest, index + 1);
+  }) : plainAlong(value[rest[index]], rest, index + 1);
+}
+
+// a single step into a value, plain objects and arrays straight through, anything else past the accessors first
+function accessorStep(list) {
+
+  var length = list.length;
+
+  if (!length) return access;
+
+  return function (thing, segment) {
+
+    if (isPlain(thing)) return access(thing, segment);
+
+    for (var x = 0; x < length; x++) {
+      if (list[x].test(thing)) return list[x].get(thing, segment);
+    }return access(thing, segment);
+  };
+}
+
+// the values inside a container, for wildcards, descent and filters
+function accessorChildren(list) {
+
+  return function (value) {
+
+    if (value && (typeof value === "undefined" ? "undefined" : _typeof(value)) === "object" && !isPlain(value)) for (var x = 0; x < list.length; x++) {
+      if (list[x].children && list[x].test(value)) return list[x].children(value);
+    }return plainChildrenOf(value);
+  };
+}
+
+/**
+ * The interpreted twin of buildLooseDigger, stops at the first falsy value the same way the conditionals do
+ * 
+ * @param { Array<string|number> } split 
+ * @param { object[] } [list] accessors
+ * @returns { function }
+ */
+function interpretLooseDigger(split) {
+  var list = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+
+  var length = split.length,
+      step = accessorStep(list),
+      templates = templateIndexes(split);
+
+  if (length === 0) return function (root) {
+    return root;
+  };
+
+  return function (root, keys) {
+
+    var thing = root;
+
+    if (!thing) return thing;
+
+    for (var x = 0; x < length; x++) {
+      if (!(thing = step(thing, templates[x] === -1 ? split[x] : keys[templates[x]]))) return thing;
+    }return thing;
+  };
+}
+
+// every key that ends up in generated code goes through here, JSON gives us a properly escaped string literal
+// U+2028 and U+2029 are valid in JSON but were line terminators inside string literals before ES2019
+var outputString = function outputString(str) {
+  return JSON.stringify(String(str)).replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+};
+
+var outputBracketed = function outputBracketed(str) {
+  return "[" + outputString(str) + "]";
+};
+
+// negative indices count back from the end of the target, so they need the target name
+// numbers are only ever emitted bare when they are integers, anything else would be source code
+var outputAccessor = function outputAccessor(target, segment) {
+  return typeof segment !== "number" ? target + outputBracketed(segment) : !Number.isSafeInteger(segment) ? target + outputBracketed(segment) : segment < 0 ? target + "[" + target + ".length - " + -segment + "]" : target + "[" + segment + "]";
+};
+
+// for each segment, -1 for a fixed key, otherwise which of the template keys it reads
+var templateIndexes = function templateIndexes(split) {
+
+  var count = 0;
+
+  return split.map(function (segment) {
+    return isTemplate(segment) ? count++ : -1;
+  });
+};
+
+// template keys arrive as an argument, the rest is written out as before
+var outputSegment = function outputSegment(target, segment, index) {
+  return index === -1 ? outputAccessor(target, segment) : target + "[keys[" + index + "]]";
+};
+
+var buildConditionals = function buildConditionals(arr) {
+
+  var templates = templateIndexes(arr);
+
+  return arr.map(function (segment, x) {
+    return "(thing = " + outputSegment("thing", segment, templates[x]) + ")";
+  }).join(" && ");
+};
+
+/**
+ * This creates a function that digs into the nested properties of an object based on a path array
+ * We are dynamically building the function to optimize performance. Test results show a 10X speed boost using this over jim for example
+ * Only should be used when the call needs to be done over and over again
+ * The split is the output of parsePath, so it may contain numeric and negative indices
+ * 
+ * With accessors each step still reads plain objects and arrays inline, and only hands anything else to them
+ * 
+ * @param { Array<string|number> } split 
+ * @param { object[] } [list] accessors
+ * @returns { function }
+ */
+function buildLooseDigger(split) {
+  var list = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+
+  if (isInterpreted()) return interpretLooseDigger(split, list);
+
+  var earlyReturn = split.length === 0 ? "return root" : "";
+
+  var templates = templateIndexes(split);
+
+  var conditionals = list.length ? split.map(function (segment, x) {
+    return "(thing = (isPlain(thing) ? " + outputSegment("thing", segment, templates[x]) + " : step(thing, " + (templates[x] !== -1 ? "keys[" + templates[x] + "]" : Number.isSafeInteger(segment) ? segment : outputString(segment)) + ")))";
+  }).join(" && ") : buildConditionals(split);
+
+  // a missing root stops it the same way as a missing key
+  var body = earlyReturn ? earlyReturn : "var thing = root;\n\n    if (thing && " + conditionals + ")\n      return thing;\n      \n    if (thing !== undefined)\n      return thing";
+
+  if (!list.length) return Function('root', 'keys', body);
+
+  return Function('isPlain', 'step', "return function (root, keys) { " + body + " }")(isPlain, accessorStep(list));
+}
+
+var plainChildrenOf = function plainChildrenOf(value) {
+  return value && (typeof value === "undefined" ? "undefined" : _typeof(value)) === "object" ? Array.isArray(value) ? value : Object.keys(value).map(function (key) {
+    return value[key];
+  }) : [];
+};
+
+var digPlain = function digPlain(value, split) {
+  var step = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : access;
+  return split.reduce(function (thing, segment) {
+    return thing == null ? undefined : step(thing, segment);
+  }, value);
+};
+
+var COMPARE = {
+  "=": function _(a, b) {
+    return a === b;
+  },
+  "!=": function _(a, b) {
+    return a !== b;
+  },
+  "<": function _(a, b) {
+    return a < b;
+  },
+  "<=": function _(a, b) {
+    return a <= b;
+  },
+  ">": function _(a, b) {
+    return a > b;
+  },
+  ">=": function _(a, b) {
+    return a >= b;
+  }
+};
+
+function buildPredicate(_ref5, step) {
+  var path = _ref5.path,
+      op = _ref5.op,
+      value = _ref5.value;
+
+
+  var compare = op && COMPARE[op];
+
+  return compare ? function (item) {
+    return compare(digPlain(item, path, step), value);
+  } : function (item) {
+    return !!digPlain(item, path, step);
+  };
+}
+
+/**
+ * Builds the digger for paths that use the query dialect, see parsePath
+ * A query works on a single value until a wildcard, descent or filter turns it into a list
+ * From then on keys and projections apply to every item, and items without the key are dropped
+ * Aggregates take the list, or the values of the array or object when there is no list yet
+ * This is always interpreted, the lists are built fresh on each run so there is nothing to gain from compiling
+ * 
+ * @param { Array<string|number|object> } split 
+ * @param { object[] } [list] accessors
+ * @returns { function }
+ */
+function buildQuery(split) {
+  var list = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+
+  var step = accessorStep(list),
+      childrenOf = list.length ? accessorChildren(list) : plainChildrenOf,
+      descendantsOf = function descendantsOf(value, all) {
+    all.push(value);
+    childrenOf(value).forEach(function (child) {
+      return child && (typeof child === "undefined" ? "undefined" : _typeof(child)) === "object" ? descendantsOf(child, all) : all.push(child);
+    });
+    return all;
+  };
+
+  var steps = split.map(function (segment) {
+
+    if (segment === "*") return function (value, list) {
+      return (list || [value]).reduce(function (all, item) {
+        return all.concat(childrenOf(item));
+      }, []);
+    };
+
+    // the value itself and everything below it, depth first
+    if (segment === DESCEND) return function (value, list) {
+      return (list || [value]).reduce(function (all, item) {
+        return descendantsOf(item, all);
+      }, []);
+    };
+
+    if (!isQuery(segment)) return function (value, list) {
+      return list ? list.map(function (item) {
+        return item == null ? undefined : step(item, segment);
+      }).filter(function (item) {
+        return item !== undefined;
+      }) : value == null ? undefined : step(value, segment);
+    };
+
+    if (segment.query === "filter") {
+      var predicate = buildPredicate(segment, step);
+      return function (value, list) {
+        return (list || [value]).reduce(function (all, item) {
+          return all.concat(childrenOf(item).filter(predicate));
+        }, []);
+      };
+    }
+
+    if (segment.query === "project") {
+      var pick = function pick(item) {
+        return item == null ? item : segment.keys.reduce(function (all, key) {
+          return all[key] = step(item, key), all;
+        }, {});
+      };
+      return function (value, list) {
+        return list ? list.map(pick) : pick(value);
+      };
+    }
+
+    var aggregate = AGGREGATES[segment.name];
+
+    return function (value, list) {
+      return aggregate(list || (value && (typeof value === "undefined" ? "undefined" : _typeof(value)) === "object" ? childrenOf(value) : value === undefined ? [] : [value]));
+    };
+  });
+
+  // each step returns a list once the query is working on one, tracked by which steps produce lists
+  var listSteps = split.map(function (segment) {
+    return segment === "*" || segment === DESCEND || isQuery(segment) && segment.query === "filter";
+  }),
+      aggregated = split.length && isQuery(split[split.length - 1]) && split[split.length - 1].query === "aggregate";
+
+  return function (root) {
+
+    var value = root,
+        list = null;
+
+    for (var x = 0; x < steps.length; x++) {
+
+      var result = steps[x](value, list);
+
+      if (aggregated && x === steps.length - 1) return result;
+
+      if (list || listSteps[x]) list = result;else value = result;
+    }
+
+    return list || value;
+  };
+}
+
+// a key from state can be anything, one that would reach the prototype reads nothing instead
+var NO_KEY = typeof Symbol === "function" ? Symbol("jselector.noKey") : "@@jselector.noKey";
+
+// returns (state, props) => [ ...keys ], the values of each template in the order they appear
+function buildTemplates(templates, list) {
+
+  var step = accessorStep(list),
+      readers = templates.map(function (_ref6) {
+    var template = _ref6.template,
+        path = _ref6.path;
+    return template === "ownProps" ? function (state, props) {
+      return digPlain(props, path, step);
+    } : function (state) {
+      return digPlain(state, path, step);
+    };
+  }),
+      length = readers.length;
+
+  // template values are always keys, a negative number is not counted back from the end like a written index
+  var asKey = function asKey(key) {
+    return isUnsafeKey(key) ? NO_KEY : typeof key === "number" && key < 0 ? String(key) : key;
+  };
+
+  return function (state, props) {
+
+    var keys = new Array(length);
+
+    for (var x = 0; x < length; x++) {
+      keys[x] = asKey(readers[x](state, props));
+    }return keys;
+  };
+}
+
+var sameKeys = function sameKeys(keys, storedKeys) {
+
+  for (var x = 0; x < keys.length; x++) {
+    if (keys[x] !== storedKeys[x]) return false;
+  }return true;
+};
+
+/**
+ * Strict paths, a typo like "sesion.user.name" otherwise looks the same as a user that is not logged in
+ * With strictPathMode on, a path that finds nothing is walked again to name the first segment that is missing
+ * A key that is there but null or undefined is data, not a typo, so the walk stops there without complaint
+ * Queries, wildcards and templates are only checked up to where they start
+ * 
+ * strictPathMode(true) throws, strictPathMode({ report : (message, problem) => ..., allow : [ "session.user", /^ui\./ ] }) reports
+ * problem is { key, path, segment, at }, at being the part of the path that was still found
+ * allow lets paths through that are allowed to be missing, a string covers the path and everything below it
+ * 
+ * Like devMode this is read at construction, and the checks only run when a path came up empty
+ * a missing reducer root is reported once per root reference, the same state handed in again stays quiet
+ * jselectors also takes options.sample, a state to check every path of its spec against up front, see checkPaths
+ */
+function strictPathMode(value) {
+
+  strictPaths = !value ? null : Object.assign({ report: null, allow: [] }, value === true ? NO_OPTIONS : value);
+
+  return !!strictPaths;
+}
+
+var strictPaths = null;
+
+var isAllowed = function isAllowed(path, allow) {
+  return allow.some(function (entry) {
+    return typeof entry === "string" ? path === entry || path.indexOf(entry + ".") === 0 || path.indexOf(entry + "[") === 0 : entry.test(path);
+  });
+};
+
+// the segments that can be checked, everything before the first query, wildcard or template
+var checkableSegments = function checkableSegments(split) {
+
+  var end = split.findIndex(function (segment) {
+    return segment === "*" || isQuery(segment) || isTemplate(segment);
+  });
+
+  return end === -1 ? split : split.slice(0, end);
+};
+
+function hasSegment(container, segment, step, list) {
+
+  if (list.length && (typeof container === "undefined" ? "undefined" : _typeof(container)) === "object" && !isPlain(container)) return step(container, segment) !== undefined;
+
+  if (typeof segment === "number" && segment < 0) return Array.isArray(container) && container.length + segment >= 0;
+
+  return segment in Object(container);
+}
+
+// the index of the first segment that is not there, -1 when every segment is, or the walk reached null or undefined
+function firstMissing(value, split, list) {
+
+  var step = accessorStep(list);
+
+  for (var x = 0; x < split.length; x++) {
+
+    if (value === null || value === undefined) return -1;
+
+    if (!hasSegment(value, split[x], step, list)) return x;
+
+    value = step(value, split[x]);
+  }
+
+  return -1;
+}
+
+var missingMessage = function missingMessage(_ref7) {
+  var key = _ref7.key,
+      path = _ref7.path,
+      segment = _ref7.segment,
+      at = _ref7.at;
+  return "jselector: " + formatPath([segment]) + " is missing from " + path + (key !== undefined ? " (key " + key + ")" : "") + ", " + (at ? at + " was found" : "it is not in the root");
+};
+
+function reportMissing(problem, mode) {
+
+  if (mode.report) return mode.report(missingMessage(problem), problem);
+
+  var error = new Error(missingMessage(problem));
+
+  throw Object.assign(error, problem);
+}
+
+// the problem with one path against a state, or null, ownProps paths are only checked when there are props
+function findMissing(path, state, props, list, key) {
+
+  var split = parsePath(path),
+      isProps = split[0] === "ownProps",
+      segments = checkableSegments(isProps ? split.slice(1) : split),
+      source = isProps ? props : state;
+
+  if (isProps && props === undefined) return null;
+
+  var index = firstMissing(source, segments, list);
+
+  return index === -1 ? null : {
+    key: key, path: path, segment: segments[index], at: formatPath((isProps ? ["ownProps"] : []).concat(segments.slice(0, index)))
+  };
+}
+
+/**
+ * Checks every path of a jselectors spec against a sample state, nested jselectors and collectionSelector included
+ * This is what jselectors runs on options.sample, and it works with strictPathMode off as well
+ * checkPaths({ name : "sesion.user.name" }, sampleState) => [ { key : "name", path : "sesion.user.name", segment : "sesion", at : "" } ]
+ * 
+ * @param { object } spec what jselectors takes
+ * @param { object } state 
+ * @param { object } [props] ownProps paths are skipped without it
+ * @param { object } [options] { accessors, allow }
+ * @returns { object[] } one problem per path that is missing something
+ */
+function checkPaths(spec, state, props) {
+  var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : NO_OPTIONS;
+
+
+  var list = options.accessors || defaultAccessors,
+      allow = options.allow || [],
+      problems = [];
+
+  var walk = function walk(spec, keys) {
+    return Object.keys(spec).forEach(function (name) {
+
+      var entry = spec[name],
+          first = Array.isArray(entry) ? entry[0] : entry,
+          key = keys.concat(name).join("."),
+          path = typeof first === "string" ? first : isSpec(first) && typeof first.path === "string" ? first.path : null;
+
+      if (getType(first) === "_Object" && !isSpec(first)) return walk(first, keys.concat(name));
+
+      if (!path || isAllowed(path, allow)) return;
+
+      var problem = findMissing(path, state, props, list, key);
+
+      if (problem) problems.push(problem);
+    });
+  };
+
+  walk(spec, []);
+
+  return problems;
+}
+
+// wraps the root and the dig of a path selector, like devWatch, so they only look closer when nothing was found
+function strictWatch(key, path, split, isProps, list) {
+
+  var mode = strictPaths;
+
+  if (!mode || isAllowed(path, mode.allow) || split.length === 0) return null;
+
+  var segments = checkableSegments(split),
+      prefix = isProps ? ["ownProps"] : [];
+
+  var check = function check(value, from) {
+
+    var index = firstMissing(value, segments.slice(from), list);
+
+    if (index !== -1) reportMissing({ key: key, path: path, segment: segments[from + index], at: formatPath(prefix.concat(segments.slice(0, from + index))) }, mode);
+  };
+
+  // the test runs on every call, so a missing root is only reported once for the same reference, a throw leaves it unchecked
+  var checked = {};
+
+  return {
+
+    test: function test(_test) {
+      return function (root, ownProps) {
+
+        var value = _test(root, ownProps),
+            source = isProps ? ownProps : root;
+
+        if (value === undefined && source !== checked) {
+          check(source, 0);
+          checked = source;
+        }
+
+        return value;
+      };
+    },
+
+    dig: function dig(_dig) {
+      return function (value, keys) {
+
+        var found = _dig(value, keys);
+
+        if (found === undefined && segments.length > 1) check(value, 1);
+
+        return found;
+      };
+    }
+
+  };
+}
+
+/**
+ * This is the more elaborate and user friendly version of jselector. Takes a string path and returns that value highly efficiently
+ * Also allows you to filter that value further, but only when that value changes
+ * assumes that the first level of the path is a reducer, so it should change when any value inside changes
+ * 
+ * The path supports dot segments, indices, negative indices and quoted keys, see parsePath
+ * "todos.items[0].title", "byId['user.42'].name", "todos.items[-1]", "ownProps.ids[0]"
+ * and the query dialect, "todos.items[?done=true].id", "entities.**.errors", "users.*.{id,name}", "todos.items.count()"
+ * 
+ * options.inputEqual compares the value found at the path, options.outputEqual compares the filtered value
+ * the reducer root is still compared by reference first, since an identical root can only give the same result
+ * queries build a new list on every run, so they compare it shallow unless options.inputEqual says otherwise
+ * 
+ * Templates put a key from ownProps or state into the path, "entities.users.{ownProps.userId}.name"
+ * the root and every template value are compared, and the fixed segments around them are still compiled
+ * 
+ * options.accessors digs through Map, Immutable.js and other containers, see accessors and accessorMode
+ * jin only knows plain objects, so with accessors a wildcard that meets anything else on the way goes through the query digger instead
+ * plain objects and arrays all the way down still go through jin, so setting accessors doesn't change what a plain state gives
+ * 
+ * A throwing filter goes through options.errors, see resolveErrors, and the path is dug again on the next call
+ * strictPathMode reports the first missing segment of a path that comes up empty
+ * 
+ * @param {any} path 
+ * @param {any} filter 
+ * @param {any} def 
+ * @param {any} key 
+ * @param {object} [options] { inputEqual, outputEqual, accessors, errors, fallback, onError, defaults, schema }
+ * @returns 
+ */
+function _jselector(path, filter, def, key) {
+  var options = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : NO_OPTIONS;
+
+
+  var meta = this || { changes: [] },
+      list = options.accessors || defaultAccessors,
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      entry = profileEntry(meta, "path", key, path),
+      watch = devWatch(meta, "path", key, path),
+      validate = schemaWatch(meta, "path", key, path, options.schema);
+
+  var inputEqual = void 0,
+      previousValue = void 0,
+      previousPreValue = void 0,
+      storedCompareValue = void 0,
+      split = void 0,
+      digMethod = void 0,
+      isProps = void 0,
+      isOwnProps = void 0,
+      testMethod = void 0,
+      wildcard = void 0,
+      query = void 0,
+      templates = void 0,
+      storedKeys = void 0;
+
+  // if you want to just have a path, and a default, this makes that cleaner
+  // a null filter is only holding the place, so the def after it still counts
+  if (filter != null && typeof filter !== "function") {
+    def = filter;
+    filter = null;
+  }
+
+  var orDefault = resolveDefault(meta, options, def);
+
+  if (watch && filter && !options.outputEqual) filter = watch.output(filter);
+
+  // without a filter the dug value is what gets checked
+  if (validate) filter = validate(filter || identity);
+
+  // without a filter the dig itself is the recompute, so time an identity filter
+  if (entry) filter = timed(filter || function (value) {
+    return value;
+  }, entry);
+
+  // parsing happens once here, so a malformed path fails at construction rather than on the first call
+  split = parsePath(path);
+
+  // if it's a property of ownProps
+  if (isProps = split[0] === "ownProps") split.shift();
+
+  // if it's the whole ownProps
+  isOwnProps = isProps && split.length === 0;
+
+  // the first segment is the reducer that gets tested, so it has to be something to test
+  if (isQuery(split[0])) throw pathError(path, 0, "a query has to start with a key");
+
+  // and it is read before the template keys are, so it can't be one of them
+  if (isTemplate(split[0])) throw pathError(path, path.indexOf("{"), "a template can't be the first segment, the reducer has to be a fixed key");
+
+  query = !!split.find(isQuery);
+  inputEqual = resolveEqual(options.inputEqual || (query ? "shallow" : null));
+
+  if (split.find(isTemplate)) {
+
+    if (query || split.indexOf("*") !== -1) throw pathError(path, path.indexOf("{"), "templates can't be combined with wildcards or queries");
+
+    templates = buildTemplates(split.filter(isTemplate), list);
+  }
+
+  // method to test the state for changes, assume first item
+  // if we are testing ownProps, then that is handled at the contruction of the function to reduce one more logical point at run time
+  // the reducer root can be a container too, redux-immutable for one, so accessors mean a closure here as well
+  if (isInterpreted() || list.length) {
+    var first = split[0],
+        step = accessorStep(list);
+    testMethod = isOwnProps ? function (root, ownProps) {
+      return ownProps;
+    } : split.length === 0 ? function (root) {
+      return root;
+    } : isProps ? function (root, ownProps) {
+      return step(ownProps, first);
+    } : function (root) {
+      return step(root, first);
+    };
+  } else testMethod = Function('root', 'ownProps', isOwnProps ? 'return ownProps' : split.length === 0 ? 'return root' : 'return ' + outputAccessor(isProps ? 'ownProps' : 'root', split[0]));
+
+  // the reducer root is what an in place mutation hides from
+  if (watch) testMethod = watch.input(testMethod);
+
+  var strict = !isOwnProps && strictWatch(key, path, split, isProps, list);
+
+  if (strict) testMethod = strict.test(testMethod);
+
+  split = split.slice(1);
+
+  // if there are magic marks, then it's a jin function, and use that for digging into results
+  // everything before the first wildcard is still dug by the compiled digger, jin only gets the rest
+  // the query dialect has its own digger, which also does the wildcards
+  if (query) digMethod = buildQuery(split, list);else if ((wildcard = split.indexOf("*")) === -1) digMethod = buildLooseDigger(split, list);else {
+
+    var prefixDigger = buildLooseDigger(split.slice(0, wildcard), list),
+        rest = split.slice(wildcard).map(function (segment) {
+      if (segment < 0) throw pathError(path, path.lastIndexOf(String(segment)), "negative indices are not supported after a wildcard");
+      return String(segment);
+    });
+
+    var viaQuery = list.length && buildQuery(split, list);
+
+    digMethod = function digMethod(testValue) {
+      var start = prefixDigger(testValue);
+      return !viaQuery || plainAlong(start, rest, 0) ? jin("", start, undefined, 0, false, rest) : viaQuery(testValue);
+    };
+  }
+
+  if (strict) digMethod = strict.dig(digMethod);
+
+  var selector = function selector(state, props) {
+
+    // source can either be state or ownProps, based on the path
+    // if the path starts with ownProps, then it's ownProps
+    var testValue = testMethod(state, props),
+        keys = templates && templates(state, props);
+
+    // if the testValue is the same, everything else will return the same too
+    // with templates, so do the keys
+    // storedKeys is only there after a first run, an undefined root matches storedCompareValue before that
+    if (testValue === storedCompareValue && (!keys || storedKeys && sameKeys(keys, storedKeys))) return orDefault(previousValue);
+
+    var newValue = void 0,
+        preValue = digMethod(testValue, keys);
+
+    var failed = false;
+
+    // if the new value is not the same, then we need to check for filters on it
+    if (!inputEqual(previousPreValue, preValue)) {
+
+      var start = now();
+
+      // build newValue
+      try {
+        newValue = filter ? filter(preValue, state, props) : preValue;
+        // stored for next time, only once the filter went through
+        previousPreValue = preValue;
+      } catch (error) {
+        failed = true;
+        newValue = recover(errors, error, { kind: "path", key: key, path: path, inputs: [preValue, state, props] }, previousValue, orDefault());
+      }
+
+      // we store changes in an array, that can be picked up for debugging purposes in the final callback
+      // for speed, find out if this slows things down
+      // an equal output keeps the previous reference
+      if (!outputEqual(previousValue, newValue)) {
+
+        pushChange(meta, { kind: "path", key: key, path: path, oldValue: previousValue, newValue: newValue, duration: now() - start, props: props, oldTest: storedCompareValue, newTest: testValue });
+
+        // store the new perviousValue
+        previousValue = newValue;
+      }
+    }
+
+    // storing this here, in the case that the root value is different, but the final value is the same
+    // after a failed filter nothing is stored, so the same root runs it again
+    if (!failed) {
+      storedCompareValue = testValue;
+      storedKeys = keys;
+    }
+
+    // lets return the newValue or the default value if it's not defined
+    return orDefault(previousValue);
+  };
+
+  describe(selector, function () {
+    return { kind: "path", key: key, path: path, def: def, value: previousValue };
+  });
+
+  return counted(selector, entry);
+}
+
+/**
+ * Selects a collection and maps every item, remembering the result per item
+ * Only items whose source changed are mapped again, the rest keep their derived object, and when no item changed
+ * the previous array or object comes back, so a single edit no longer reallocates the whole list
+ * 
+ * Arrays are keyed by index unless options.key names an id field, or is a function (item, index) => key
+ * Objects are keyed by their own keys
+ * The mapItem gets (item, key, state, props), but results are remembered per item, so it should only depend on the item
+ * 
+ * Returns a spec, use it as a key in jselectors, or pass it to jselector to get the selector
+ * jselector({ rows : collectionSelector("todos.items", todo => ({ label : todo.title.toUpperCase() }), [], { key : "id" }) })
+ * 
+ * @param {string} path 
+ * @param {function} mapItem 
+ * @param {any} [def] 
+ * @param {object} [options] { key } and anything _jselector takes
+ * @returns 
+ */
+function collectionSelector(path, mapItem, def) {
+  var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : NO_OPTIONS;
+
+
+  var itemKey = typeof options.key === "function" ? options.key : options.key ? function (item) {
+    return item == null ? item : item[options.key];
+  } : function (item, index) {
+    return index;
+  };
+
+  return selectorSpec(function (key) {
+
+    var cache = new Map(),
+        previous = void 0;
+
+    // cache only ever holds the items of the last run, so it stays the size of the collection
+    var mapCollection = function mapCollection(collection, state, props) {
+
+      if (!collection || (typeof collection === "undefined" ? "undefined" : _typeof(collection)) !== "object") return previous = undefined;
+
+      var isArray = Array.isArray(collection),
+          keys = isArray ? collection : Object.keys(collection),
+          next = new Map(),
+          result = isArray ? new Array(collection.length) : {};
+
+      var changed = !previous || isArray !== Array.isArray(previous) || (isArray ? previous.length !== collection.length : Object.keys(previous).length !== keys.length);
+
+      for (var x = 0; x < keys.length; x++) {
+
+        var item = isArray ? collection[x] : collection[keys[x]],
+            id = isArray ? itemKey(item, x) : keys[x],
+            entry = cache.get(id),
+            value = entry && entry.item === item ? entry.value : mapItem(item, id, state, props);
+
+        next.set(id, entry && entry.value === value ? entry : { item: item, value: value });
+
+        if (isArray) result[x] = value;else result[keys[x]] = value;
+
+        if (!changed && (isArray ? previous[x] : previous[keys[x]]) !== value) changed = true;
+      }
+
+      cache = next;
+
+      return changed ? previous = result : previous;
+    };
+
+    return _jselector.call(this, path, mapCollection, def, key, options);
+  }, path);
+}
+
+/**
+ * Lenses, the same paths driving writes instead of reads
+ * Every write returns a copy of only the containers along the path, everything else keeps its reference,
+ * so selectors watching the untouched parts of state don't see a change
+ * 
+ * set(state, "todos.items[3].done", true)
+ * update(state, "todos.items[-1].count", count => count + 1)
+ * remove(state, "todos.byId[\"user.42\"]")
+ * update(state, "todos.items[?done = false].done", () => true)
+ * 
+ * Keys, indices, negative indices, wildcards and filters can be written through, a wildcard or filter writes every item it matches
+ * Missing objects along the path are created, an array when the next segment is an index, for remove they stop the write
+ * Writing the value that is already there hands back state itself
+ * Descent, projections, aggregates and templates only make sense for reading, those paths throw
+ */
+
+var REMOVE = {};
+
+var copyOf = function copyOf(container) {
+  return Array.isArray(container) ? container.slice() : Object.assign(Object.create(Object.getPrototypeOf(container)), container);
+};
+
+var writeIndex = function writeIndex(container, segment) {
+
+  if (typeof segment !== "number" || segment >= 0 || !Array.isArray(container)) return segment;
+
+  if (container.length + segment < 0) throw new RangeError("index " + segment + " is out of range for an array of " + container.length);
+
+  return container.length + segment;
+};
+
+var plainHas = function plainHas(container, segment) {
+  return hasOwn(container, writeIndex(container, segment));
+};
+
+function writableAccessor(container, list) {
+
+  if (isPlain(container)) return null;
+
+  for (var x = 0; x < list.length; x++) {
+    if (list[x].test(container)) {
+      if (!list[x].set) throw new TypeError("the " + list[x].name + " accessor can only read");
+      return list[x];
+    }
+  }throw new TypeError("can only write into plain objects and arrays, " + getType(container) + " needs an accessor with set and remove");
+}
+
+// a copy of container with segment replaced, a missing container is created on the way
+function put(container, segment, child, list) {
+
+  if (container == null) container = typeof segment === "number" && segment >= 0 ? [] : {};
+
+  var accessor = (typeof container === "undefined" ? "undefined" : _typeof(container)) === "object" && writableAccessor(container, list);
+
+  if (accessor) return accessor.set(container, segment, child);
+
+  if ((typeof container === "undefined" ? "undefined" : _typeof(container)) !== "object") throw new TypeError("can not write " + String(segment) + " into " + getType(container));
+
+  var copy = copyOf(container);
+
+  copy[writeIndex(container, segment)] = child;
+
+  return copy;
+}
+
+// a copy of container without segment, or container itself when there was nothing to remove
+function drop(container, segment, list) {
+
+  if (container == null || (typeof container === "undefined" ? "undefined" : _typeof(container)) !== "object") return container;
+
+  var accessor = writableAccessor(container, list);
+
+  if (accessor) return accessor.remove(container, segment);
+
+  if (!plainHas(container, segment)) return container;
+
+  var copy = copyOf(container),
+      index = writeIndex(container, segment);
+
+  if (Array.isArray(copy) && typeof index === "number") copy.splice(index, 1);else delete copy[index];
+
+  return copy;
+}
+
+function checkWritable(path, split) {
+
+  if (!split.length) throw new TypeError("an empty path can not be written to");
+
+  split.forEach(function (segment) {
+    if (segment === DESCEND || isTemplate(segment) || isQuery(segment) && segment.query !== "filter") throw new TypeError(path + " can not be written to, only keys, indices, * and filters can");
+  });
+}
+
+/**
+ * The interpreted twin of buildWriter, and the only one that handles wildcards, filters and accessors
+ * 
+ * @param { Array<string|number|object> } split 
+ * @param { object[] } [list] accessors
+ * @returns { function } (root, fun, create) => root
+ */
+function interpretWriter(split) {
+  var list = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+
+  var length = split.length,
+      step = accessorStep(list),
+      predicates = split.map(function (segment) {
+    return segment === "*" ? function () {
+      return true;
+    } : isQuery(segment) ? buildPredicate(segment, step) : null;
+  });
+
+  var write = function write(value, x, fun, create) {
+
+    if (x === length) return fun(value);
+
+    var segment = split[x],
+        predicate = predicates[x];
+
+    if (!predicate) {
+
+      var child = value == null ? undefined : step(value, segment);
+
+      if (child == null && !create && x < length - 1) return value;
+
+      var next = write(child, x + 1, fun, create);
+
+      return next === child ? value : next === REMOVE ? drop(value, segment, list) : put(value, segment, next, list);
+    }
+
+    if (value == null) return value;
+
+    if ((typeof value === "undefined" ? "undefined" : _typeof(value)) !== "object" || !isPlain(value)) throw new TypeError("can only write through " + (segment === "*" ? "*" : "filters") + " on plain objects and arrays");
+
+    var isArray = Array.isArray(value),
+        keys = isArray ? value.map(function (item, index) {
+      return index;
+    }) : Object.keys(value);
+
+    var copy = value,
+        removed = false;
+
+    keys.forEach(function (key) {
+
+      var child = value[key];
+
+      if (!predicate(child)) return;
+
+      var next = write(child, x + 1, fun, create);
+
+      if (next === child) return;
+
+      if (copy === value) copy = copyOf(value);
+
+      if (next === REMOVE && !isArray) delete copy[key];else copy[key] = next;
+
+      removed = removed || next === REMOVE;
+    });
+
+    return removed && isArray ? copy.filter(function (item) {
+      return item !== REMOVE;
+    }) : copy;
+  };
+
+  return function (root, fun, create) {
+    return write(root, 0, fun, create);
+  };
+}
+
+/**
+ * Builds the function that writes through a path, the writing side of buildLooseDigger
+ * The reads down the path are written out the same way, then the copies are made on the way back up
+ * fun gets the current value at the end of the path, returning REMOVE drops it
+ * 
+ * @param { Array<string|number|object> } split 
+ * @param { object[] } [list] accessors
+ * @returns { function } (root, fun, create) => root
+ */
+function buildWriter(split) {
+  var list = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+
+  if (isInterpreted() || list.length || split.some(function (segment) {
+    return (typeof segment === "undefined" ? "undefined" : _typeof(segment)) === "object" || segment === "*";
+  })) return interpretWriter(split, list);
+
+  var last = split.length - 1,
+      literal = function literal(segment) {
+    return Number.isSafeInteger(segment) ? segment : outputString(segment);
+  };
+
+  var reads = split.map(function (segment, x) {
+    return "v" + (x + 1) + " = v" + x + " == null ? undefined : " + outputAccessor("v" + x, segment);
+  });
+
+  var puts = split.slice(0, last).reduceRight(function (inner, segment, x) {
+    return "put(v" + x + ", " + literal(segment) + ", " + inner + ", list)";
+  }, "next");
+
+  return Function('put', 'drop', 'REMOVE', 'list', "return function (root, fun, create) {\n    var v0 = root, " + reads.join(", ") + ";\n    var next = fun(v" + split.length + ");\n\n    if (next === v" + split.length + ")\n      return root;\n\n    if (next === REMOVE) {\n      if (v" + last + " == null || (next = drop(v" + last + ", " + literal(split[last]) + ", list)) === v" + last + ")\n        return root;\n    } else\n      next = put(v" + last + ", " + literal(split[last]) + ", next, list);\n\n    return " + puts + ";\n  }")(put, drop, REMOVE, list);
+}
+
+/**
+ * A lens for one path, parsed and built once, for paths that are written over and over again
+ * const done = lens("todos.items[3].done")
+ * done.get(state), done.set(state, true), done.update(state, value => !value), done.remove(state)
+ * 
+ * @param { string } path 
+ * @param { object } [options] { accessors }
+ * @returns { object }
+ */
+function lens(path) {
+  var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : NO_OPTIONS;
+
+
+  var list = options.accessors || defaultAccessors,
+      split = parsePath(path);
+
+  checkWritable(path, split);
+
+  var write = buildWriter(split, list),
+      read = split.some(function (segment) {
+    return (typeof segment === "undefined" ? "undefined" : _typeof(segment)) === "object" || segment === "*";
+  }) ? buildQuery(split, list) : buildLooseDigger(split, list);
+
+  return {
+    path: path,
+    get: function get(state) {
+      return read(state);
+    },
+    set: function set(state, value) {
+      return write(state, function () {
+        return value;
+      }, true);
+    },
+    update: function update(state, fun) {
+      return write(state, fun, true);
+    },
+    remove: function remove(state) {
+      return write(state, function () {
+        return REMOVE;
+      }, false);
+    }
+  };
+}
 
-  var meta = this || { changes: [] };
+// the lenses behind set, update and remove, rebuilt when the modes they were built under change
+var LENSES = new Map(),
+    LENSES_MAX = 500;
 
-  var previousValue = void 0;
+function cachedLens(path, options) {
 
-  return function (state, props) {
+  if (options) return lens(path, options);
 
-    var newValue = filter(state, props);
+  var found = LENSES.get(path);
 
-    if (previousValue === newValue) return def !== undefined ? previousValue || def : previousValue;
+  if (found && found.list === defaultAccessors && found.interpreted === isInterpreted()) return found.lens;
 
-    meta.changes.push({ key: key, props: props, newValue: newValue, previousValue: previousValue });
+  if (LENSES.size >= LENSES_MAX) LENSES.clear();
 
-    previousValue = newValue;
+  var built = lens(path);
 
-    return def !== undefined ? newValue || def : newValue;
-  };
-}
+  LENSES.set(path, { lens: built, list: defaultAccessors, interpreted: isInterpreted() });
 
-/*
+  return built;
+}
 
-// TODO: this tested only slightly faster than the looseDigger version. Surprisingly so!
-// because of the safety aspects of looseDigger, I see no benefit to using this more strict version
-// it is here only as an example
+/**
+ * Sets the value at path, returning the new state
+ * 
+ * @param { any } state 
+ * @param { string } path 
+ * @param { any } value 
+ * @param { object } [options] { accessors }
+ * @returns { any }
+ */
+function set(state, path, value, options) {
 
-function buildRidgedDigger (split) {
+  return cachedLens(path, options).set(state, value);
+}
 
-  let body = "return root"
+/**
+ * Replaces the value at path with what fun returns for it, returning the new state
+ * 
+ * @param { any } state 
+ * @param { string } path 
+ * @param { function } fun 
+ * @param { object } [options] { accessors }
+ * @returns { any }
+ */
+function update(state, path, fun, options) {
 
-  for (var x = 0; x < split.length; x++)
-    body += '["' + split[x] + '"]'
+  return cachedLens(path, options).update(state, fun);
+}
 
-  return Function('root', body)
+/**
+ * Removes the key at path, array items are spliced out, returning the new state
+ * 
+ * @param { any } state 
+ * @param { string } path 
+ * @param { object } [options] { accessors }
+ * @returns { any }
+ */
+function remove(state, path, options) {
 
+  return cachedLens(path, options).remove(state);
 }
-*/
-
-var outputBracketed = function outputBracketed(str) {
-  return "['" + str + "']";
-};
-var outputArrAsBrackets = function outputArrAsBrackets(arr) {
-  return arr.reduce(function (all, item) {
-    return all + outputBracketed(item);
-  }, "");
-};
-var buildConditionals = function buildConditionals(arr) {
-  return arr.map(function (value, index, arr) {
-    return "(thing = root" + outputArrAsBrackets(arr.slice(0, index + 1)) + ")";
-  }).join(" && ");
-};
 
 /**
- * This creates a function that digs into the nested properties of an object based on a path array
- * We are dynamically building the function to optimize performance. Test results show a 10X speed boost using this over jim for example
- * Only should be used when the call needs to be done over and over again
+ * This generates an optimized version of the code that loops over each selector and applies (state, props)
+ * Speed tests show a 12X increase in speed vs even a while loop
+ * this breaks each item down by key name
+ * r goes along as the third argument, so derived keys can read the siblings computed before them
  * 
- * @param { string[array] } split 
- * @returns { function }
+ * @param {any} selectors 
+ * @param {any} preObj 
+ * @param {string[]} order the keys, dependencies first
+ * @returns 
  */
-function buildLooseDigger(split) {
+function optimizedSelectorsLoop(selectors, preObj, order) {
 
-  var earlyReturn = split.length === 0 ? "return root" : "";
+  if (isInterpreted()) return interpretSelectorsLoop(selectors, preObj, order);
+
+  var body = "";
+
+  if (preObj) body += "Object.assign(r, preObj); ";
+
+  var _iteratorNormalCompletion = true;
+  var _didIteratorError = false;
+  var _iteratorError = undefined;
+
+  try {
+    for (var _iterator = order[Symbol.iterator](), _step; !(_iteratorNormalCompletion = (_step = _iterator.next()).done); _iteratorNormalCompletion = true) {
+      var x = _step.value;
+
+      body += "r" + outputBracketed(x) + " = selectors" + outputBracketed(x) + "(state, props, r);";
+    }
+  } catch (err) {
+    _didIteratorError = true;
+    _iteratorError = err;
+  } finally {
+    try {
+      if (!_iteratorNormalCompletion && _iterator.return) {
+        _iterator.return();
+      }
+    } finally {
+      if (_didIteratorError) {
+        throw _iteratorError;
+      }
+    }
+  }
 
-  var body = earlyReturn ? earlyReturn : "var thing = root;\n\n    if (" + buildConditionals(split) + ")\n      return thing;\n      \n    if (thing !== undefined)\n      return thing";
+  body += "return r";
 
-  return Function('root', body);
+  return new Function("state", "props", "selectors", "r", "preObj", body);
 }
 
 /**
- * This is the more elaborate and user friendly version of jselector. Takes a string path and returns that value highly efficiently
- * Also allows you to filter that value further, but only when that value changes
- * assumes that the first level of the path is a reducer, so it should change when any value inside changes
+ * The interpreted twin of optimizedSelectorsLoop, same signature so jselectors does not care which one it gets
  * 
- * @param {any} path 
- * @param {any} filter 
- * @param {any} def 
- * @param {any} key 
+ * @param {any} selectors 
  * @returns 
  */
-function _jselector(path, filter, def, key) {
+function interpretSelectorsLoop(selectors, preObj, keys) {
 
-  var meta = this || { changes: [] };
+  var length = keys.length;
 
-  var previousValue = void 0,
-      previousPreValue = void 0,
-      storedCompareValue = void 0,
-      split = void 0,
-      digMethod = void 0,
-      isProps = void 0,
-      isOwnProps = void 0,
-      testMethod = void 0;
+  return function (state, props, selectors, r, preObj) {
 
-  // if you want to just have a path, and a default, this makes that cleaner
-  if (filter !== undefined && typeof filter !== "function") {
-    def = filter;
-    filter = null;
-  }
+    if (preObj) Object.assign(r, preObj);
 
-  // if it's a property of ownProps
-  if (isProps = path.indexOf("ownProps.") === 0) path = path.substr(9);
+    for (var x = 0; x < length; x++) {
+      r[keys[x]] = selectors[keys[x]](state, props, r);
+    }return r;
+  };
+}
 
-  // if it's the whole ownProps
-  if (isOwnProps = path === "ownProps") path = "";
+/**
+ * A jselectors key that is computed from other keys of the same jselectors
+ * total : [ [ "items", "taxRate" ], (items, taxRate, state, props) => ... ]
+ * The fun only runs when one of the sibling values changed, compared with options.inputEqual
+ * 
+ * @param {string[]} deps 
+ * @param {function} fun 
+ * @param {any} def 
+ * @param {string} key 
+ * @param {object} [options] { inputEqual, outputEqual, errors, fallback, onError, defaults, schema }
+ * @returns 
+ */
+function derivedSelector(deps, fun, def, key) {
+  var options = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : NO_OPTIONS;
 
-  split = path.split(".");
 
-  // method to test the state for changes, assume first item
-  // if we are testing ownProps, then that is handled at the contruction of the function to reduce one more logical point at run time
-  testMethod = Function('root', 'ownProps', isOwnProps ? 'return ownProps' : isProps ? "return ownProps[ '" + split[0] + "' ]" : "return root[ '" + split[0] + "' ]");
+  var meta = this,
+      inputEqual = resolveEqual(options.inputEqual),
+      outputEqual = resolveEqual(options.outputEqual),
+      errors = resolveErrors(meta, options),
+      orDefault = resolveDefault(meta, options, def),
+      entry = profileEntry(meta, "derived", key, null),
+      watch = devWatch(meta, "derived", key, null),
+      validate = schemaWatch(meta, "derived", key, null, options.schema),
+      length = deps.length;
 
-  // if there are magic marks, then it's a jin function, and use that for digging into results
-  if (path.indexOf("*") === -1) digMethod = buildLooseDigger(split.slice(1));else digMethod = function digMethod(testValue) {
-    return jin("", testValue, undefined, 0, false, split.slice(1));
-  };
+  var oldInputs = void 0,
+      previousValue = void 0;
 
-  return function (state, props) {
+  if (watch && !options.outputEqual) fun = watch.output(fun);
 
-    // source can either be state or ownProps, based on the path
-    // if the path starts with ownProps, then it's ownProps
-    var testValue = testMethod(state, props);
+  if (validate) fun = validate(fun);
 
-    // if the testValue is the same, everything else will return the same too
-    if (testValue === storedCompareValue) return def !== undefined ? previousValue || def : previousValue;
+  if (entry) fun = timed(fun, entry);
 
-    var newValue = void 0,
-        preValue = digMethod(testValue);
+  var selector = function selector(state, props, r) {
 
-    // if the new value is not the same, then we need to check for filters on it
-    if (preValue !== previousPreValue) {
+    var same = !!oldInputs;
 
-      // stored for next time
-      previousPreValue = preValue;
+    // compared in place, the inputs array is only built for a recompute
+    for (var x = 0; same && x < length; x++) {
+      if (!inputEqual(oldInputs[x], r[deps[x]])) same = false;
+    }if (same) return orDefault(previousValue);
 
-      // build newValue
-      newValue = filter ? filter(preValue, state, props) : preValue;
+    var start = now(),
+        inputs = deps.map(function (dep) {
+      return r[dep];
+    });
 
-      // we store changes in an array, that can be picked up for debugging purposes in the final callback
-      // for speed, find out if this slows things down
-      if (newValue !== previousValue) meta.changes.push({ previousValue: previousValue, key: key, newValue: newValue, path: path, props: props, storedCompareValue: storedCompareValue, testValue: testValue });
+    var newValue = void 0,
+        failed = false;
+
+    try {
+      newValue = fun.apply(undefined, _toConsumableArray(inputs).concat([state, props]));
+    } catch (error) {
+      failed = true;
+      newValue = recover(errors, error, { kind: "derived", key: key, path: null, inputs: inputs.concat(state, props) }, previousValue, orDefault());
+    }
 
-      // store the new perviousValue
+    if (!outputEqual(previousValue, newValue)) {
+      pushChange(meta, { kind: "derived", key: key, path: null, oldValue: previousValue, newValue: newValue, duration: now() - start, props: props, oldTest: oldInputs, newTest: inputs });
       previousValue = newValue;
     }
 
-    // storing this here, in the case that the root value is different, but the final value is the same
-    storedCompareValue = testValue;
+    if (!failed) oldInputs = inputs;
 
-    // lets return the newValue or the default value if it's not defined
-    return def !== undefined ? previousValue || def : previousValue;
+    return orDefault(previousValue);
   };
+
+  describe(selector, function () {
+    return { kind: "derived", key: key, path: null, def: def, value: previousValue, deps: deps };
+  });
+
+  return counted(selector, entry);
 }
 
-/**
- * This generates an optimized version of the code that loops over each selector and applies (state, props)
- * Speed tests show a 12X increase in speed vs even a while loop
- * this breaks each item down by key name
- * 
- * @param {any} selectors 
- * @returns 
- */
-function optimizedSelectorsLoop(selectors, preObj) {
+// orders the keys so every derived key comes after the keys it reads, otherwise keeping the order they were written in
+function orderByDependency(keys, deps) {
 
-  var body = "";
+  var ordered = [],
+      state = Object.create(null);
 
-  if (preObj) body += "Object.assign(r, preObj); ";
+  var visit = function visit(key, chain) {
 
-  for (var x in selectors) {
-    body += "r['" + x + "'] = selectors['" + x + "'](state, props);";
-  }body += "return r";
+    if (state[key] === "done") return;
 
-  return new Function("state", "props", "selectors", "r", "preObj", body);
+    if (state[key] === "visiting") throw new Error("jselector: circular dependency between jselectors keys " + chain.slice(chain.indexOf(key)).concat(key).join(" -> "));
+
+    state[key] = "visiting";(deps[key] || []).forEach(function (dep) {
+      if (keys.indexOf(dep) === -1) throw new Error("jselector: \"" + key + "\" depends on \"" + dep + "\", which is not a key of this jselectors");
+      visit(dep, chain.concat(key));
+    });
+
+    state[key] = "done";
+    ordered.push(key);
+  };
+
+  keys.forEach(function (key) {
+    return visit(key, []);
+  });
+
+  return ordered;
 }
 
 /**
  * This takes a group of selectors and runs them, if there are no changes, it returns the existing object
  * 
+ * A key can also be derived from sibling keys, [ [ "items", "taxRate" ], (items, taxRate) => ... ], see derivedSelector
+ * keys are evaluated so that those come first, and circular dependencies throw here rather than on the first call
+ * 
+ * A call where no child changed allocates nothing, the same object comes back
+ * 
+ * ret.subscribe(listener) calls listener(changes, value) every time the object is rebuilt
+ * changes are the events from every selector in the tree, see pushChange for the shape, the last one is the group itself
+ * it returns a function that unsubscribes
+ * 
+ * options.errors and options.onError apply to every selector in the tree that does not set its own, see resolveErrors
+ * and so does options.defaults, see DEFAULT_POLICIES
+ * options.sample is a state to check every path against right away, options.sampleProps the ownProps for it, see checkPaths
+ * when the final callback throws, "keep" returns the last object and "default" goes on without what fun adds,
+ * merging options.fallback instead, either way the callback runs again on the next call
+ * 
  * @param {any} obj 
  * @param {any} fun 
+ * @param {object} [preObj] 
+ * @param {object} [options] { errors, fallback, onError, defaults, sample, sampleProps }
  * @returns 
  */
 function jselectors(obj, fun, preObj) {
+  var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : NO_OPTIONS;
 
-  var previousValue = void 0;
+
+  var previousValue = void 0,
+      lastState = void 0,
+      lastProps = void 0,
+      retry = false;
 
   // selectors are stored here
   var selectors = {},
+      deps = Object.create(null),
       meta = this || { changes: [] },
-      mpc = meta.parent ? meta.parent.changes : null;
+      mpc = meta.parent ? meta.parent.changes : null,
+      listeners = [];
 
   if ((typeof fun === "undefined" ? "undefined" : _typeof(fun)) === "object") {
     preObj = fun;
     fun = null;
   }
 
+  // read by every selector built below, through this
+  var errors = meta.errors = resolveErrors(meta.parent, options);
+
+  meta.defaults = options.defaults ? checkDefaults(options.defaults) : meta.parent && meta.parent.defaults;
+
+  // a typo in a path fails here, before the first state ever comes in
+  if (options.sample) checkPaths(obj, options.sample, options.sampleProps, { allow: strictPaths ? strictPaths.allow : [] }).forEach(function (problem) {
+    return reportMissing(problem, strictPaths || NO_OPTIONS);
+  });
+
+  var entry = profileEntry(meta.parent, "group", meta.key, null);
+
+  // the final callback is the recompute of a group, so time an empty one when there is none
+  if (entry) fun = timed(fun || function () {
+    return undefined;
+  }, entry);
+
+  // an async child settled, the root of the tree runs again with what it was last called with
+  meta.settled = function () {
+    return meta.parent && meta.parent.settled ? meta.parent.settled() : previousValue && ret(lastState, lastProps);
+  };
+
   // this builds out the selectors, based on arguments passed in
   for (var x in obj) {
-    if (obj[x])
+    if (isUnsafeKey(x)) throw new Error("jselector: \"" + x + "\" is not allowed as a jselectors key");else if (obj[x])
       // allows you to either just pass in the path or object, or all arguments
-      selectors[x] = getType(obj[x]) === "_Array" ? jselector.call(meta, obj[x][0], obj[x][1], obj[x][2], x, true) : jselector.call(meta, obj[x], undefined, undefined, x, true);
+      // the array version is [ path, filter, def, options ], or [ [ ...siblingKeys ], fun, def, options ]
+      selectors[x] = getType(obj[x]) !== "_Array" ? jselector.call(meta, obj[x], undefined, undefined, x, true) : getType(obj[x][0]) === "_Array" ? derivedSelector.call(meta, deps[x] = obj[x][0], obj[x][1], obj[x][2], x, obj[x][3]) : jselector.call(meta, obj[x][0], obj[x][1], obj[x][2], x, true, obj[x][3]);
   } // speed tests show that spelling out the keys is far better than running them through a loop, rougly 12X
   // we are pre building this since it needs to be called on each state change, resulting in major speed improvements
-  var selectorsLoop = optimizedSelectorsLoop(selectors, preObj);
+  var selectorsLoop = optimizedSelectorsLoop(selectors, preObj, orderByDependency(Object.keys(selectors), deps));
+
+  // the loop writes into this same object on every call, the children only report changes through meta.changes
+  // so an unchanged call returns previousValue without allocating, and only a change copies it into a new result
+  var scratch = {};
+
+  function ret(state, props) {
 
-  return function ret(state, props) {
+    // only kept when there is an async selector somewhere below
+    if (meta.async) {
+      lastState = state;
+      lastProps = props;
+    }
 
     // using the optimized way of looping over all selectors
     // preObj only gets assigned to the r object if it exists
     // normally it will not so lets save that logic
-    var r = selectorsLoop(state, props, selectors, {}, preObj);
+    selectorsLoop(state, props, selectors, scratch, preObj);
 
     // if this is the first time or there are some changes then run it
     // all child selectors test for changes individually. If there are changes
     // they get reflected in the meta.changes object
     // the previousValue will always be an object unless it's the first time
-    if (!previousValue || meta.changes.length) {
+    if (!previousValue || meta.changes.length || retry) {
+
+      var start = now(),
+          r = Object.assign({}, scratch);
+
+      retry = false;
 
       // this is the function for the final callback
       // if you want to debug jselectors, put a break point in the final callback 
       // and check the third argument to see the full meta.changes array
-      if (fun)
+      if (fun) try {
         // using assign here, to preserve the r object as is
         // the fun must return an object
         Object.assign(r, fun(r, state, props, meta));
+      } catch (error) {
+
+        var value = recover(errors, error, { kind: "group", key: meta.key, path: null, inputs: [r, state, props] }, previousValue, r);
+
+        // keep leaves the changes where they are, so the next call runs the callback again
+        if (previousValue && value === previousValue) return previousValue;
+
+        if (value && value !== r) Object.assign(r, value);
+
+        retry = true;
+      }
+
+      // the group reports itself last, after everything that caused it to change
+      meta.changes.push({ kind: "group", key: meta.key, path: null, oldValue: previousValue, newValue: r, duration: now() - start, props: props, oldTest: undefined, newTest: undefined, parents: parentChain(meta.parent) });
 
       // now lets preserve this object and reuse if the results end up the same
       previousValue = r;
 
+      if (listeners.length) {
+        var changes = meta.changes.slice();
+        listeners.slice().forEach(function (listener) {
+          return listener(changes, r);
+        });
+      }
+
       // since jselectors can be composed, there is the concept of a parent
       // mpc means meta.parent.changes
       // if there are any local changes, push them up to the parent
@@ -373,7 +3266,26 @@ function jselectors(obj, fun, preObj) {
 
     // always return previousValue, updated or not
     return previousValue;
+  }
+
+  ret.subscribe = function (listener) {
+
+    listeners.push(listener);
+
+    return function () {
+      var index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
   };
+
+  // the children stay selectors here, inspect describes them in turn
+  describe(ret, function () {
+    return { kind: "group", key: meta.key, path: null, def: preObj, value: previousValue, children: Object.keys(selectors).map(function (x) {
+        return selectors[x];
+      }) };
+  });
+
+  return counted(ret, entry);
 }
 
 /**
@@ -381,6 +3293,9 @@ function jselectors(obj, fun, preObj) {
  * Since jselector builds a function that gets called again and again with scope
  * we can be slightly less efficient here since it only happens in the instantiation phase
  * 
+ * Options for the single selectors come in as the 5th argument, or the 6th when the 5th is the child flag
+ * jselector(path, filter, def, key, options), jselector(obj, fun, preObj, key, options)
+ * 
  * @returns 
  */
 function jselector() {
@@ -390,16 +3305,309 @@ function jselector() {
   // this is only for composed jselectors (object version)
   // this allows jselectors to contain child jselectors
   // when changes are present, they get passed up to the parent
+  // a top level group keeps its key too, so profiles, devMode labels and inspect can tell the trees apart
   ,
-      subSelf = getType(a[4]) === "_Boolean" ? { parent: this, changes: [] } : this;
+      subSelf = getType(a[4]) === "_Boolean" ? { parent: this, changes: [], key: a[3] } : a[3] !== undefined && !this ? { changes: [], key: a[3] } : this,
+      options = getType(a[4]) === "_Object" ? a[4] : a[5];
+
+  // variants like asyncSelector build themselves
+  if (a[0] && a[0][SELECTOR_SPEC]) return a[0][SELECTOR_SPEC].call(this, a[3], options);
+
+  if (getType(a[0]) === "_Object") return jselectors.call(subSelf, a[0], a[1], a[2], options);
+
+  if (getType(a[0]) === "_Function" && getType(a[1]) === "_Function") return simpleSelector.call(this, a[0], a[1], a[2], a[3], options);
+
+  if (getType(a[0]) === "_Function") return singleSelector.call(this, a[0], a[1], a[2], a[3], options);
+
+  return _jselector.call(this, a[0], a[1], a[2], a[3], options);
+}
+
+// what inspect hands back has to survive JSON.stringify, so functions become their names and cycles are cut
+function serializable(value, seen) {
+
+  if (typeof value === "function") return "[Function " + (value.name || "anonymous") + "]";
+
+  if ((typeof value === "undefined" ? "undefined" : _typeof(value)) === "symbol" || typeof value === "bigint") return String(value);
+
+  if (!value || (typeof value === "undefined" ? "undefined" : _typeof(value)) !== "object") return value;
+
+  if (seen.indexOf(value) !== -1) return "[Circular]";
+
+  if (value instanceof Date) return value.toISOString();
+
+  // Immutable.js and anything else that knows how to be JSON
+  if (typeof value.toJSON === "function") return serializable(value.toJSON(), seen);
+
+  seen.push(value);
+
+  var copy = typeof Map === "function" && value instanceof Map ? Array.from(value).map(function (pair) {
+    return serializable(pair, seen);
+  }) : typeof Set === "function" && value instanceof Set ? Array.from(value).map(function (item) {
+    return serializable(item, seen);
+  }) : Array.isArray(value) ? value.map(function (item) {
+    return serializable(item, seen);
+  }) : Object.keys(value).reduce(function (all, name) {
+    return all[name] = serializable(value[name], seen), all;
+  }, {});
+
+  seen.pop();
+
+  return copy;
+}
+
+/**
+ * Describes a selector and everything under it, for devtools and snapshot tests
+ * Every description has the kind, "path", "simple", "single", "async", "tracked", "derived" or "group",
+ * the key it has in its jselectors, or the one a top level group was given, the path for path selectors, the def, and the value it holds right now
+ * Groups list their children in the order they were written, derived keys the sibling keys they read,
+ * simple selectors their stats and tracked ones their dependencies
+ * 
+ * The result is plain data, values included, so it can go through JSON.stringify as is
+ * 
+ * @param {function} selector anything jselector returned
+ * @returns { object }
+ */
+function inspect(selector) {
+
+  if (!selector || !selector[INSPECT]) throw new TypeError("jselector: inspect only knows selectors built by jselector");
+
+  var description = selector[INSPECT]();
+
+  return Object.keys(description).reduce(function (all, name) {
+    all[name] = name === "children" ? description.children.map(inspect) : serializable(description[name], []);
+    return all;
+  }, {});
+}
+
+var preview = function preview(value) {
+  var max = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 60;
+
 
-  if (getType(a[0]) === "_Object") return jselectors.apply(subSelf, a);
+  var text = value === undefined ? "undefined" : JSON.stringify(value);
 
-  if (getType(a[0]) === "_Function" && getType(a[1]) === "_Function") return simpleSelector.apply(this, a);
+  return text.length > max ? text.slice(0, max - 3) + "..." : text;
+};
+
+/**
+ * Renders inspect as a tree, one selector per line
+ * 
+ * group
+ * ├─ user path "session.user" = {"name":"someone"}
+ * ├─ total derived [items, taxRate] = 12
+ * └─ filters group
+ *    └─ visible single = true
+ * 
+ * @param {function|object} target a selector, or what inspect returned for one
+ * @returns { string }
+ */
+function printInspection(target) {
+
+  var lines = [];
+
+  var print = function print(description, indent, branch) {
+
+    var label = [description.key, description.kind].concat(description.path ? JSON.stringify(description.path) : []).concat(description.deps ? "[" + description.deps.join(", ") + "]" : []).filter(function (part) {
+      return part !== undefined && part !== null;
+    }).join(" ");
+
+    lines.push(indent + branch + label + (description.kind === "group" ? "" : " = " + preview(description.value)));
+
+    var children = description.children || [],
+        childIndent = indent + (branch === "├─ " ? "│  " : branch ? "   " : "");
+
+    children.forEach(function (child, x) {
+      return print(child, childIndent, x === children.length - 1 ? "└─ " : "├─ ");
+    });
+  };
+
+  print(typeof target === "function" ? inspect(target) : target, "", "");
+
+  return lines.join("\n");
+}
+
+var REGISTRY = typeof Symbol === "function" ? Symbol("jselector.registry") : "@@jselector.registry";
+
+/**
+ * A registry of per key instances, for the selectors wrapByUniqueKey creates
+ * Instances stay until they are released, unless one of the eviction options is set
+ * 
+ * options.max   keeps at most that many instances, the least recently used one is evicted first
+ * options.ttl   milliseconds an instance may go unused before it is dropped, checked on access, there are no timers
+ * options.weak  object keys go into a WeakMap, so the instance goes away with the object, these don't count toward max
+ * clear empties both, the WeakMap by swapping in a fresh one
+ * 
+ * Primitive keys are compared as strings, the same as the plain object map always did
+ * 
+ * @param {object} [options] { max, ttl, weak }
+ * @returns {object} { get, set, release, clear, stats }
+ */
+function selectorRegistry() {
+  var _ref8;
+
+  var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : NO_OPTIONS;
+  var _options$max = options.max,
+      max = _options$max === undefined ? Infinity : _options$max,
+      _options$ttl = options.ttl,
+      ttl = _options$ttl === undefined ? Infinity : _options$ttl,
+      _options$weak = options.weak,
+      weak = _options$weak === undefined ? false : _options$weak,
+      strong = new Map(),
+      counts = { created: 0, released: 0, evicted: 0, expired: 0, weak: 0
+
+    // let, since clear can't empty a WeakMap and swaps in a fresh one instead
+  };
+  var weakMap = weak ? new WeakMap() : null;
+
+  var isObjectKey = function isObjectKey(key) {
+    return key !== null && ((typeof key === "undefined" ? "undefined" : _typeof(key)) === "object" || typeof key === "function");
+  },
+      toKey = function toKey(key) {
+    return isObjectKey(key) ? key : String(key);
+  };
+
+  // the Map keeps insertion order, so re-inserting on use keeps the least recently used entry first
+  function sweep(now) {
+
+    if (ttl !== Infinity) {
+      var _iteratorNormalCompletion2 = true;
+      var _didIteratorError2 = false;
+      var _iteratorError2 = undefined;
+
+      try {
+        for (var _iterator2 = strong[Symbol.iterator](), _step2; !(_iteratorNormalCompletion2 = (_step2 = _iterator2.next()).done); _iteratorNormalCompletion2 = true) {
+          var _step2$value = _slicedToArray(_step2.value, 2),
+              _key = _step2$value[0],
+              _entry = _step2$value[1];
+
+          if (now - _entry.used < ttl) break;
+          strong.delete(_key);
+          counts.expired++;
+        }
+      } catch (err) {
+        _didIteratorError2 = true;
+        _iteratorError2 = err;
+      } finally {
+        try {
+          if (!_iteratorNormalCompletion2 && _iterator2.return) {
+            _iterator2.return();
+          }
+        } finally {
+          if (_didIteratorError2) {
+            throw _iteratorError2;
+          }
+        }
+      }
+    }while (strong.size > max) {
+      strong.delete(strong.keys().next().value);
+      counts.evicted++;
+    }
+  }
+
+  return _ref8 = {}, _defineProperty(_ref8, REGISTRY, true), _defineProperty(_ref8, "get", function get(key) {
 
-  if (getType(a[0]) === "_Function") return singleSelector.apply(this, a);
+    if (weakMap && isObjectKey(key)) return weakMap.get(key);
 
-  return _jselector.apply(this, a);
+    key = toKey(key);
+
+    var entry = strong.get(key),
+        now = Date.now();
+
+    if (!entry) return undefined;
+
+    if (now - entry.used >= ttl) {
+      strong.delete(key);
+      counts.expired++;
+      return undefined;
+    }
+
+    strong.delete(key);
+    strong.set(key, entry);
+    entry.used = now;
+
+    return entry.value;
+  }), _defineProperty(_ref8, "set", function set(key, value) {
+
+    counts.created++;
+
+    if (weakMap && isObjectKey(key)) {
+      counts.weak++;
+      weakMap.set(key, value);
+      return value;
+    }
+
+    var now = Date.now();
+
+    key = toKey(key);
+    strong.delete(key);
+    strong.set(key, { value: value, used: now });
+    sweep(now);
+
+    return value;
+  }), _defineProperty(_ref8, "release", function release(key) {
+
+    var released = weakMap && isObjectKey(key) ? weakMap.delete(key) : strong.delete(toKey(key));
+
+    if (released) counts.released++;
+
+    return released;
+  }), _defineProperty(_ref8, "clear", function clear() {
+    counts.released += strong.size;
+    strong.clear();
+    if (weakMap) weakMap = new WeakMap();
+  }), _defineProperty(_ref8, "stats", function stats() {
+    return Object.assign({ live: strong.size }, counts);
+  }), _ref8;
+}
+
+// the original storage, a plain object the caller may have passed in and may still be reading
+function objectRegistry(map) {
+
+  var counts = { created: 0, released: 0 };
+
+  return {
+    // own keys only, "toString" and the like would otherwise come off Object.prototype as an instance
+    get: function get(key) {
+      return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined;
+    },
+    set: function set(key, value) {
+      return counts.created++, map[key] = value;
+    },
+    release: function release(key) {
+      var released = Object.prototype.hasOwnProperty.call(map, key) && delete map[key];
+      if (released) counts.released++;
+      return released;
+    },
+    clear: function clear() {
+      var _iteratorNormalCompletion3 = true;
+      var _didIteratorError3 = false;
+      var _iteratorError3 = undefined;
+
+      try {
+        for (var _iterator3 = Object.keys(map)[Symbol.iterator](), _step3; !(_iteratorNormalCompletion3 = (_step3 = _iterator3.next()).done); _iteratorNormalCompletion3 = true) {
+          var key = _step3.value;
+
+          this.release(key);
+        }
+      } catch (err) {
+        _didIteratorError3 = true;
+        _iteratorError3 = err;
+      } finally {
+        try {
+          if (!_iteratorNormalCompletion3 && _iterator3.return) {
+            _iterator3.return();
+          }
+        } finally {
+          if (_didIteratorError3) {
+            throw _iteratorError3;
+          }
+        }
+      }
+    },
+
+    stats: function stats() {
+      return Object.assign({ live: Object.keys(map).length }, counts);
+    }
+  };
 }
 
 /**
@@ -407,24 +3615,47 @@ function jselector() {
  * 
  * A highly specialized use case being a selector.
  * 
+ * The map can be a plain object, as it always was, or a selectorRegistry for eviction and weak keys
+ * The returned function also has release(key), clear() and stats() so instances can be dropped as rows unmount
+ * 
  * @param {*} fun 
  * @param {*} map 
  */
 var wrapByUniqueKey = exports.wrapByUniqueKey = function wrapByUniqueKey(fun) {
   var map = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+
+  var registry = map[REGISTRY] ? map : objectRegistry(map);
+
   return function () {
-    for (var _len = arguments.length, args1 = Array(_len), _key = 0; _key < _len; _key++) {
-      args1[_key] = arguments[_key];
+    for (var _len = arguments.length, args1 = Array(_len), _key2 = 0; _key2 < _len; _key2++) {
+      args1[_key2] = arguments[_key2];
     }
 
-    return function (key) {
-      var _ref;
+    var wrapped = function wrapped(key) {
+      var _instance;
 
-      for (var _len2 = arguments.length, args2 = Array(_len2 > 1 ? _len2 - 1 : 0), _key2 = 1; _key2 < _len2; _key2++) {
-        args2[_key2 - 1] = arguments[_key2];
+      for (var _len2 = arguments.length, args2 = Array(_len2 > 1 ? _len2 - 1 : 0), _key3 = 1; _key3 < _len2; _key3++) {
+        args2[_key3 - 1] = arguments[_key3];
       }
 
-      return (_ref = map[key] || (map[key] = fun.call.apply(fun, [undefined].concat(args1)))).call.apply(_ref, [undefined].concat(args2));
+      var instance = registry.get(key);
+
+      if (!instance) instance = registry.set(key, fun.call.apply(fun, [undefined].concat(args1)));
+
+      return (_instance = instance).call.apply(_instance, [undefined].concat(args2));
+    };
+
+    wrapped.release = function (key) {
+      return registry.release(key);
+    };
+    wrapped.clear = function () {
+      return registry.clear();
     };
+    wrapped.stats = function () {
+      return registry.stats();
+    };
+
+    return wrapped;
   };
 };
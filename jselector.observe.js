@@ -0,0 +1,160 @@
+/**
+ * Connects selectors to a Redux like store, { getState, subscribe }, outside of React
+ * Works with anything jselector returns, since those already hand back the same reference until something changed
+ * Selectors with a subscribe of their own, jselectors trees and asyncSelector, also report async results
+ */
+
+const $$observable = typeof Symbol === "function" && Symbol.observable || "@@observable"
+
+// the one place that reads the store, everything else here is built on it
+// fail gets what the selector throws on a later read, without it the throw goes to whoever notified, dispatch included
+function watch (store, selector, ownProps, emit, fail) {
+
+  let reading = false
+    , current
+
+  const read = () => {
+
+    reading = true
+
+    try {
+      return selector(store.getState(), ownProps)
+    } finally {
+      reading = false
+    }
+
+  }
+
+  const check = () => {
+
+    const previous = current
+
+    try {
+      current = read()
+    } catch (error) {
+      current = previous
+      if (!fail)
+        throw error
+      return fail(error)
+    }
+
+    if (current !== previous)
+      emit(current, previous)
+
+  }
+
+  current = read()
+
+  const unsubscribeStore = store.subscribe(check)
+
+    // a tree also notifies while it is being read, only the ones in between dispatches are news
+    , unsubscribeSelector = selector.subscribe ? selector.subscribe(() => reading || check()) : null
+
+  return {
+    current : () => current,
+    stop () {
+      unsubscribeStore()
+      unsubscribeSelector && unsubscribeSelector()
+    }
+  }
+
+}
+
+/**
+ * Calls onChange(value, previousValue) whenever the selected value changes, returns a function that unsubscribes
+ * The selector is read once straight away, so the first call to onChange is for the first change
+ * 
+ * observe(store, jselector({ user : "session.user" }), ({ user }) => analytics.identify(user))
+ * 
+ * @param {object} store 
+ * @param {function} selector 
+ * @param {function} onChange 
+ * @param {object} [ownProps] 
+ * @returns {function}
+ */
+export function observe (store, selector, onChange, ownProps) {
+
+  const watcher = watch(store, selector, ownProps, onChange)
+
+  return () => watcher.stop()
+
+}
+
+/**
+ * The selector as a TC39 / RxJS compatible Observable, from(toObservable(store, selector)) works in RxJS
+ * Every subscriber gets the current value first, then each change
+ * A selector that throws goes to observer.error when there is one, which also ends the subscription
+ * 
+ * @param {object} store 
+ * @param {function} selector 
+ * @param {object} [ownProps] 
+ * @returns {object}
+ */
+export function toObservable (store, selector, ownProps) {
+
+  return {
+
+    subscribe (observer, error, complete) {
+
+      if (typeof observer === "function")
+        observer = { next : observer, error, complete }
+
+      let watcher
+
+      const next = value => observer.next && observer.next(value)
+
+        // a dispatch is no place for the error, it goes to the observer and the subscription is over
+        , fail = observer.error && (error => {
+          watcher.stop()
+          observer.error(error)
+        })
+
+      try {
+        watcher = watch(store, selector, ownProps, next, fail)
+      } catch (e) {
+        if (!observer.error)
+          throw e
+        observer.error(e)
+        return { unsubscribe () {} }
+      }
+
+      next(watcher.current())
+
+      return { unsubscribe : () => watcher.stop() }
+
+    },
+
+    [$$observable] () {
+      return this
+    }
+
+  }
+
+}
+
+/**
+ * The selector as a Svelte style readable store, subscribe(run) calls run with the current value right away
+ * and returns the function that unsubscribes, so $store works on it in a Svelte component
+ * 
+ * @param {object} store 
+ * @param {function} selector 
+ * @param {object} [ownProps] 
+ * @returns {object}
+ */
+export function toReadable (store, selector, ownProps) {
+
+  return {
+
+    subscribe (run) {
+
+      const watcher = watch(store, selector, ownProps, run)
+
+      run(watcher.current())
+
+      return () => watcher.stop()
+
+    }
+
+  }
+
+}
@@ -0,0 +1,97 @@
+const { useRef, useCallback, useSyncExternalStore } = require('react')
+const { default: jselector } = require('./jselector.babel')
+
+/**
+ * React bindings, for components that use hooks instead of mapStateToProps
+ * The store is anything Redux like, { getState, subscribe }
+ * 
+ * Each component gets its own selector instance, built once on the first render, the same way wrapByUniqueKey
+ * gives each key its own instance, so memoization is never shared between components with different props
+ * The component re-renders only when the memoized result reference changes
+ */
+
+// builds the selector once for the lifetime of the component
+function useInstance (build) {
+
+  const ref = useRef(null)
+
+  if (ref.current === null)
+    ref.current = { selector : build(), reading : false }
+
+  return ref.current
+
+}
+
+function useSelection (store, instance, ownProps) {
+
+  // the store subscription, plus the selector's own for async results that settle between dispatches
+  // a selector tree also notifies while it is being read, those are ignored since React is already reading it
+  const subscribe = useCallback(onChange => {
+
+    const unsubscribeStore = store.subscribe(onChange)
+      , unsubscribeSelector = instance.selector.subscribe ?
+        instance.selector.subscribe(() => instance.reading || onChange())
+        : null
+
+    return () => {
+      unsubscribeStore()
+      unsubscribeSelector && unsubscribeSelector()
+    }
+
+  }, [ store, instance ])
+
+  const getSnapshot = () => {
+
+    instance.reading = true
+
+    try {
+      return instance.selector(store.getState(), ownProps)
+    } finally {
+      instance.reading = false
+    }
+
+  }
+
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot)
+
+}
+
+/**
+ * Selects one value, the arguments after ownProps are the same as jselector's
+ * useJSelector(store, "todos.items[0].title", props)
+ * useJSelector(store, "session.user", props, user => user.name, "guest")
+ * 
+ * @param {object} store 
+ * @param {any} pathOrSelector a path, a test function, or a spec like asyncSelector
+ * @param {object} [ownProps] 
+ * @param {any} [filter] 
+ * @param {any} [def] 
+ * @param {object} [options] 
+ * @returns 
+ */
+export function useJSelector (store, pathOrSelector, ownProps, filter, def, options) {
+
+  const instance = useInstance(() => jselector(pathOrSelector, filter, def, undefined, options))
+
+  return useSelection(store, instance, ownProps)
+
+}
+
+/**
+ * Selects a whole jselectors object, the result is the same object until something in it changes
+ * useJSelectors(store, { title : "todos.items[0].title", user : [ "session.user", null, {} ] }, props)
+ * 
+ * @param {object} store 
+ * @param {object} spec 
+ * @param {object} [ownProps] 
+ * @param {function} [fun] the final callback
+ * @param {object} [preObj] 
+ * @returns 
+ */
+export function useJSelectors (store, spec, ownProps, fun, preObj) {
+
+  const instance = useInstance(() => jselector(spec, fun, preObj))
+
+  return useSelection(store, instance, ownProps)
+
+}
@@ -0,0 +1,52 @@
+/**
+ * accessors, and what setting them does to plain state
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, accessorMode, accessors } = require('../jselector.babel.js')
+
+const plain = () => ({ t : {
+  items : [ { title : "a", x : { y : 1 } }, { title : "b", x : { y : 2 } } ],
+  byId : { a : { title : "A", x : { y : 3 } }, b : { title : "B" } }
+} })
+
+const paths = [ "t.items.*.title", "t.byId.*.title", "t.byId.*", "t.*.*.title", "t.byId.*.x.y", "t.items.*.x.y", "t.*", "t.missing.*.title" ]
+
+test.afterEach(() => accessorMode([]))
+
+test("plain wildcard paths give the same result with or without accessors", () => {
+
+  const state = plain()
+    , without = paths.map(path => jselector(path)(state))
+
+  paths.forEach((path, x) => assert.deepStrictEqual(jselector(path, null, undefined, undefined, { accessors : [ accessors.map ] })(state), without[x], path))
+
+  accessorMode([ accessors.map ])
+
+  paths.forEach((path, x) => assert.deepStrictEqual(jselector(path)(state), without[x], path))
+
+})
+
+test("a Map on the way still goes through the accessors", () => {
+
+  accessorMode([ accessors.map ])
+
+  const byMap = { t : { byId : new Map([ [ "a", { title : "A" } ], [ "b", { title : "B" } ] ]) } }
+    , ofMaps = { t : { items : [ new Map([ [ "title", "a" ] ]), new Map([ [ "title", "b" ] ]) ] } }
+
+  assert.deepStrictEqual(jselector("t.byId.*.title")(byMap), [ "A", "B" ])
+  assert.deepStrictEqual(jselector("t.items.*.title")(ofMaps), [ "a", "b" ])
+
+})
+
+test("options.accessors works on its own, with accessorMode left unset", () => {
+
+  const options = { accessors : [ accessors.map ] }
+    , byMap = { t : { byId : new Map([ [ "a", { title : "A" } ], [ "b", { title : "B" } ] ]) } }
+    , ofMaps = { t : { items : [ new Map([ [ "title", "a" ] ]), new Map([ [ "title", "b" ] ]) ] } }
+
+  assert.deepStrictEqual(jselector("t.byId.*.title", null, undefined, undefined, options)(byMap), [ "A", "B" ])
+  assert.deepStrictEqual(jselector("t.items.*.title", null, undefined, undefined, options)(ofMaps), [ "a", "b" ])
+  assert.strictEqual(jselector("t.byId.a.title", null, undefined, undefined, options)(byMap), "A")
+
+})
@@ -0,0 +1,78 @@
+/**
+ * asyncSelector, and what happens around a promise that settles between calls
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, asyncSelector } = require('../jselector.babel.js')
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+// Node reports a rejection nobody handled here, the errors below must never end up as one
+const unhandled = []
+process.on("unhandledRejection", error => unhandled.push(error))
+
+test("a settled result reruns the tree and reaches its subscribers", async () => {
+
+  const tree = jselector({ results : asyncSelector(state => state.query, (state, query) => Promise.resolve(query + "!"), "none") })
+    , seen = []
+
+  tree.subscribe((changes, value) => seen.push(value.results.status))
+
+  assert.strictEqual(tree({ query : "a" }).results.status, "pending")
+
+  await tick()
+
+  assert.deepStrictEqual(tree({ query : "a" }).results, { status : "resolved", value : "a!", error : undefined })
+  assert.deepStrictEqual(seen, [ "pending", "resolved" ])
+
+})
+
+test("a tree that throws after a result settles goes to onError once, not an unhandled rejection", async () => {
+
+  const reported = []
+
+  let settled = false
+
+  const tree = jselector(
+    { results : asyncSelector(state => state.query, () => Promise.resolve(1).then(value => (settled = true, value))) },
+    results => {
+      if (settled)
+        throw new Error("final callback")
+      return {}
+    },
+    null,
+    undefined,
+    { onError : (error, info) => reported.push([ error.message, info.kind ]) }
+  )
+
+  tree({ query : "a" })
+
+  await tick()
+  await tick()
+
+  assert.deepStrictEqual(reported, [ [ "final callback", "group" ] ])
+  assert.deepStrictEqual(unhandled, [])
+
+})
+
+test("a throwing subscriber doesn't keep the others or the tree from the result", async () => {
+
+  const reported = []
+    , heard = []
+
+  const selector = jselector(asyncSelector(state => state.query, (state, query) => Promise.resolve(query), undefined, {
+    onError : error => reported.push(error.message)
+  }))
+
+  selector.subscribe(() => { throw new Error("subscriber") })
+  selector.subscribe(state => heard.push(state.value))
+
+  selector({ query : "a" })
+
+  await tick()
+
+  assert.deepStrictEqual(heard, [ "a" ])
+  assert.deepStrictEqual(reported, [ "subscriber" ])
+  assert.deepStrictEqual(unhandled, [])
+
+})
@@ -0,0 +1,119 @@
+/**
+ * The change events a jselectors tree collects, and ret.subscribe
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector } = require('../jselector.babel.js')
+
+const initial = { session : { user : "ann" }, todos : { items : [ 1, 2 ] }, ui : { open : false } }
+
+const build = () => jselector({
+  user : "session.user",
+  count : [ "todos.items", items => items.length ],
+  open : [ state => state.ui.open ],
+  total : [ [ "count" ], count => count * 10 ],
+  nested : { items : "todos.items" }
+}, undefined, undefined, "App")
+
+test("every change has the documented shape", () => {
+
+  const tree = build()
+    , heard = []
+
+  tree.subscribe(changes => heard.push(changes))
+
+  const props = { id : 1 }
+
+  tree(initial, props)
+
+  const changes = heard[0]
+    , byKey = changes.reduce(( all, change ) => (all[change.key] = change, all), {})
+
+  changes.forEach(change => {
+    assert.deepStrictEqual(Object.keys(change).sort(), [ "duration", "key", "kind", "newTest", "newValue", "oldTest", "oldValue", "parents", "path", "props" ], change.key)
+    assert.strictEqual(typeof change.duration, "number")
+    assert.ok(change.duration >= 0)
+    assert.strictEqual(change.props, props)
+    assert.strictEqual(change.oldValue, undefined)
+  })
+
+  assert.deepStrictEqual([ byKey.user.kind, byKey.user.path, byKey.user.newValue, byKey.user.newTest ], [ "path", "session.user", "ann", initial.session ])
+  assert.deepStrictEqual([ byKey.count.kind, byKey.count.path, byKey.count.newValue ], [ "path", "todos.items", 2 ])
+  assert.deepStrictEqual([ byKey.open.kind, byKey.open.path, byKey.open.newValue ], [ "single", null, false ])
+  assert.deepStrictEqual([ byKey.total.kind, byKey.total.path, byKey.total.newValue, byKey.total.newTest ], [ "derived", null, 20, [ 2 ] ])
+  assert.deepStrictEqual([ byKey.nested.kind, byKey.nested.parents ], [ "group", [ "App" ] ])
+  assert.deepStrictEqual(byKey.items.parents, [ "App", "nested" ])
+  assert.deepStrictEqual(byKey.user.parents, [ "App" ])
+
+  // the group itself comes last
+  const last = changes[changes.length - 1]
+
+  assert.deepStrictEqual([ last.kind, last.key, last.path, last.parents ], [ "group", "App", null, [] ])
+  assert.strictEqual(last.newValue, tree(initial, props))
+
+})
+
+test("a later change carries the old value and test", () => {
+
+  const tree = build()
+    , heard = []
+
+  const first = tree(initial)
+
+  tree.subscribe(( changes, value ) => heard.push({ changes, value }))
+
+  const next = Object.assign({}, initial, { session : { user : "bob" } })
+    , second = tree(next)
+
+  assert.strictEqual(heard.length, 1)
+  assert.strictEqual(heard[0].value, second)
+  assert.deepStrictEqual(heard[0].changes.map(change => change.kind + " " + change.key), [ "path user", "group App" ])
+
+  const [ user, group ] = heard[0].changes
+
+  assert.deepStrictEqual([ user.oldValue, user.newValue, user.oldTest, user.newTest ], [ "ann", "bob", initial.session, next.session ])
+  assert.deepStrictEqual([ group.oldValue, group.newValue ], [ first, second ])
+
+})
+
+test("subscribers only hear about calls that changed something, until they unsubscribe", () => {
+
+  const tree = build()
+    , one = []
+    , two = []
+
+  const unsubscribe = tree.subscribe(( changes, value ) => one.push(value))
+
+  tree.subscribe(( changes, value ) => two.push(value))
+
+  tree(initial)
+  tree(initial)
+  tree(Object.assign({}, initial))
+
+  assert.strictEqual(one.length, 1)
+
+  unsubscribe()
+  unsubscribe()
+
+  tree(Object.assign({}, initial, { ui : { open : true } }))
+
+  assert.strictEqual(one.length, 1)
+  assert.strictEqual(two.length, 2)
+
+})
+
+test("the final callback sees the changes of the call", () => {
+
+  const seen = []
+
+  const tree = jselector({ user : "session.user" }, (r, state, props, meta) => {
+    seen.push(meta.changes.map(change => change.key))
+    return {}
+  })
+
+  tree(initial)
+  tree(Object.assign({}, initial, { session : { user : "bob" } }))
+
+  assert.deepStrictEqual(seen, [ [ "user" ], [ "user" ] ])
+
+})
@@ -0,0 +1,120 @@
+/**
+ * collectionSelector, per item memoization
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, collectionSelector } = require('../jselector.babel.js')
+
+const counting = (options, def) => {
+  const mapped = []
+  const selector = jselector(collectionSelector("todos.items", (item, key) => (mapped.push(key), { label : item.title.toUpperCase() }), def, options))
+  return { selector, mapped }
+}
+
+const items = () => [ { id : "a", title : "one" }, { id : "b", title : "two" }, { id : "c", title : "three" } ]
+
+test("only the items that changed are mapped again, by index", () => {
+
+  const { selector, mapped } = counting()
+    , list = items()
+    , first = selector({ todos : { items : list } })
+
+  assert.deepStrictEqual(first, [ { label : "ONE" }, { label : "TWO" }, { label : "THREE" } ])
+  assert.deepStrictEqual(mapped, [ 0, 1, 2 ])
+
+  const edited = list.slice()
+  edited[1] = { id : "b", title : "deux" }
+
+  const second = selector({ todos : { items : edited } })
+
+  assert.deepStrictEqual(mapped, [ 0, 1, 2, 1 ])
+  assert.notStrictEqual(second, first)
+  assert.strictEqual(second[0], first[0])
+  assert.strictEqual(second[2], first[2])
+  assert.deepStrictEqual(second[1], { label : "DEUX" })
+
+})
+
+test("the previous array comes back when no item changed", () => {
+
+  const { selector, mapped } = counting()
+    , list = items()
+    , first = selector({ todos : { items : list } })
+
+  // a new array with the same items
+  assert.strictEqual(selector({ todos : { items : list.slice() } }), first)
+  assert.strictEqual(mapped.length, 3)
+
+  // one fewer is a change, even though every item is known
+  const shorter = selector({ todos : { items : list.slice(0, 2) } })
+
+  assert.notStrictEqual(shorter, first)
+  assert.strictEqual(shorter[0], first[0])
+  assert.strictEqual(mapped.length, 3)
+
+})
+
+test("options.key follows an item when it moves", () => {
+
+  const { selector, mapped } = counting({ key : "id" })
+    , list = items()
+    , first = selector({ todos : { items : list } })
+
+  const moved = selector({ todos : { items : [ list[2], list[0], list[1] ] } })
+
+  assert.deepStrictEqual(mapped, [ "a", "b", "c" ])
+  assert.strictEqual(moved[0], first[2])
+  assert.strictEqual(moved[1], first[0])
+  assert.strictEqual(moved[2], first[1])
+
+})
+
+test("options.key can be a function", () => {
+
+  const { selector, mapped } = counting({ key : (item, index) => item.id + index })
+    , list = items()
+
+  selector({ todos : { items : list } })
+  selector({ todos : { items : list.slice() } })
+  selector({ todos : { items : [ list[1], list[0], list[2] ] } })
+
+  assert.deepStrictEqual(mapped, [ "a0", "b1", "c2", "b0", "a1" ])
+
+})
+
+test("objects are keyed by their own keys", () => {
+
+  const { selector, mapped } = counting()
+    , byId = { a : { title : "one" }, b : { title : "two" } }
+    , first = selector({ todos : { items : byId } })
+
+  assert.deepStrictEqual(first, { a : { label : "ONE" }, b : { label : "TWO" } })
+
+  assert.strictEqual(selector({ todos : { items : Object.assign({}, byId) } }), first)
+
+  const second = selector({ todos : { items : Object.assign({}, byId, { b : { title : "deux" } }) } })
+
+  assert.strictEqual(second.a, first.a)
+  assert.deepStrictEqual(second.b, { label : "DEUX" })
+
+  const added = selector({ todos : { items : Object.assign({}, byId, { c : { title : "three" } }) } })
+
+  assert.deepStrictEqual(Object.keys(added), [ "a", "b", "c" ])
+  assert.deepStrictEqual(mapped, [ "a", "b", "b", "b", "c" ])
+
+})
+
+test("a missing collection gives the def, and works as a jselectors key", () => {
+
+  const { selector } = counting(undefined, [])
+
+  assert.deepStrictEqual(selector({ todos : {} }), [])
+
+  const tree = jselector({ rows : collectionSelector("todos.items", item => item.title) })
+    , list = items()
+    , first = tree({ todos : { items : list } })
+
+  assert.deepStrictEqual(first.rows, [ "one", "two", "three" ])
+  assert.strictEqual(tree({ todos : { items : list.slice() } }), first)
+
+})
@@ -0,0 +1,72 @@
+/**
+ * Defaults policies and factory defaults
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, defaultsMode, defaultFactory, wrapByUniqueKey } = require('../jselector.babel.js')
+
+const noop = () => {}
+
+test("falsy is still the default policy", () => {
+  assert.strictEqual(jselector("a.n", 5)({ a : { n : 0 } }), 5)
+  assert.strictEqual(jselector("a.n", 5)({ a : { n : 1 } }), 1)
+})
+
+test("a function def is returned as it is", () => {
+  assert.strictEqual(jselector("a.b", undefined, noop)({ a : {} }), noop)
+  assert.strictEqual(jselector("a.b", null, noop)({ a : {} }), noop)
+  assert.strictEqual(jselector({ f : [ "a.b", null, noop ] })({ a : {} }).f, noop)
+})
+
+test("nullish and undefined keep 0, empty strings and false", () => {
+
+  assert.strictEqual(jselector("a.n", null, 5, undefined, { defaults : "nullish" })({ a : { n : 0 } }), 0)
+  assert.strictEqual(jselector("a.n", null, 5, undefined, { defaults : "nullish" })({ a : { n : null } }), 5)
+
+  const tree = jselector({
+    n : [ "a.n", null, 5 ],
+    s : [ state => state.a, (state, a) => a.s, "x" ],
+    u : [ state => state.a.u, null, 1 ]
+  }, null, null, undefined, { defaults : "undefined" })
+
+  assert.deepStrictEqual(tree({ a : { n : 0, s : "", u : null } }), { n : 0, s : "", u : null })
+
+})
+
+test("defaultsMode sets the policy for selectors built after it", () => {
+
+  defaultsMode("nullish")
+
+  try {
+    assert.strictEqual(jselector("a.n", 5)({ a : { n : false } }), false)
+  } finally {
+    defaultsMode()
+  }
+
+  assert.throws(() => defaultsMode("zero"))
+  assert.throws(() => jselector("a", 1, undefined, undefined, { defaults : "no" }))
+
+})
+
+test("a factory default is made once per selector instance", () => {
+
+  let made = 0
+
+  const selector = jselector("a.list", null, defaultFactory(() => (made++, [])))
+
+  assert.strictEqual(made, 0)
+
+  const first = selector({ a : {} })
+
+  assert.deepStrictEqual(first, [])
+  assert.strictEqual(selector({ a : {} }), first)
+  assert.strictEqual(made, 1)
+
+  const rows = wrapByUniqueKey(() => jselector("a.list", null, defaultFactory(() => [])))()
+
+  assert.notStrictEqual(rows("x", { a : {} }), rows("y", { a : {} }))
+  assert.strictEqual(rows("x", { a : {} }), rows("x", { a : {} }))
+
+  assert.throws(() => defaultFactory([]), TypeError)
+
+})
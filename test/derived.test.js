@@ -0,0 +1,87 @@
+/**
+ * Derived keys, a jselectors key computed from its siblings
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, inspect } = require('../jselector.babel.js')
+
+const state = () => ({ cart : { items : [ { price : 10 }, { price : 5 } ], taxRate : 0.5 }, ui : { open : false } })
+
+test("derived keys run after the keys they read, whatever order they were written in", () => {
+
+  const order = []
+
+  const tree = jselector({
+    total : [ [ "subtotal", "tax" ], (subtotal, tax) => (order.push("total"), subtotal + tax) ],
+    tax : [ [ "subtotal", "taxRate" ], (subtotal, rate) => (order.push("tax"), subtotal * rate) ],
+    subtotal : [ [ "items" ], items => (order.push("subtotal"), items.reduce(( sum, item ) => sum + item.price, 0)) ],
+    items : "cart.items",
+    taxRate : "cart.taxRate"
+  })
+
+  assert.deepStrictEqual(tree(state()), { total : 22.5, tax : 7.5, subtotal : 15, items : state().cart.items, taxRate : 0.5 })
+  assert.deepStrictEqual(order, [ "subtotal", "tax", "total" ])
+  assert.deepStrictEqual(inspect(tree).children[0].deps, [ "subtotal", "tax" ])
+
+})
+
+test("a circular dependency throws when the tree is built", () => {
+
+  assert.throws(() => jselector({
+    a : [ [ "b" ], b => b ],
+    b : [ [ "c" ], c => c ],
+    c : [ [ "a" ], a => a ]
+  }), /circular dependency between jselectors keys a -> b -> c -> a/)
+
+  assert.throws(() => jselector({ a : [ [ "a" ], a => a ] }), /circular dependency between jselectors keys a -> a/)
+
+})
+
+test("a key that is not a sibling throws when the tree is built", () => {
+
+  assert.throws(() => jselector({
+    items : "cart.items",
+    total : [ [ "items", "discount" ], items => items.length ]
+  }), /"total" depends on "discount", which is not a key of this jselectors/)
+
+})
+
+test("a derived key only runs again when one of its inputs changed", () => {
+
+  let runs = 0
+
+  const tree = jselector({
+    items : "cart.items",
+    ui : "ui",
+    count : [ [ "items" ], items => (runs++, items.length) ]
+  })
+
+  const first = state()
+    , result = tree(first)
+
+  // ui changed, items did not
+  const second = tree(Object.assign({}, first, { ui : { open : true } }))
+
+  assert.strictEqual(runs, 1)
+  assert.notStrictEqual(second, result)
+  assert.strictEqual(second.count, 2)
+
+  // nothing changed
+  assert.strictEqual(tree(Object.assign({}, first, { ui : second.ui })), second)
+
+  tree(Object.assign({}, first, { cart : { items : [ { price : 1 } ], taxRate : 0.5 } }))
+
+  assert.strictEqual(runs, 2)
+
+})
+
+test("a derived key gets state and props after its inputs", () => {
+
+  const tree = jselector({
+    items : "cart.items",
+    label : [ [ "items" ], (items, state, props) => `${ items.length } for ${ props.user } ${ state.ui.open ? "open" : "closed" }` ]
+  })
+
+  assert.strictEqual(tree(state(), { user : "ann" }).label, "2 for ann closed")
+
+})
@@ -0,0 +1,160 @@
+/**
+ * devMode, in place mutations and unstable outputs
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, devMode } = require('../jselector.babel.js')
+
+const watching = options => {
+  const warnings = []
+  devMode(Object.assign({ warn : (message, info) => warnings.push({ message, info }) }, options))
+  return warnings
+}
+
+test.afterEach(() => devMode(false))
+
+test("a reducer root mutated in place is reported with its label", () => {
+
+  const warnings = watching()
+    , tree = jselector({ visible : [ "todos", todos => todos.items.filter(item => !item.done) ] }, undefined, undefined, "App")
+    , state = { todos : { items : [ { done : false } ] } }
+
+  tree(state)
+  tree(state)
+
+  assert.strictEqual(warnings.length, 0)
+
+  state.todos.items.push({ done : false })
+
+  tree(state)
+
+  assert.strictEqual(warnings.length, 1)
+  assert.match(warnings[0].message, /App\.visible todos was mutated in place/)
+  assert.deepStrictEqual([ warnings[0].info.label, warnings[0].info.kind ], [ "App.visible todos", "path" ])
+  assert.strictEqual(warnings[0].info.value, state.todos)
+
+})
+
+test("a multiple test value mutated in place is reported too", () => {
+
+  const warnings = watching()
+    , selector = jselector((state, props, multiple) => Object.assign(multiple, [ state.list, state.other ]), (state, [ list ]) => list.length)
+    , state = { list : [ 1 ], other : {} }
+
+  selector(state)
+
+  state.list.push(2)
+
+  selector(state)
+
+  assert.strictEqual(warnings.length, 1)
+  assert.strictEqual(warnings[0].info.kind, "simple")
+
+})
+
+test("a new output that is deep equal to the last one is reported", () => {
+
+  const warnings = watching()
+    , selector = jselector("todos", todos => ({ count : todos.items.length }))
+
+  selector({ todos : { items : [ 1 ] } })
+  selector({ todos : { items : [ 2 ] } })
+
+  assert.strictEqual(warnings.length, 1)
+  assert.match(warnings[0].message, /returned a new value that is deep equal to the last one/)
+
+  // a real change is not
+  selector({ todos : { items : [ 2, 3 ] } })
+
+  assert.strictEqual(warnings.length, 1)
+
+})
+
+test("a selector with an outputEqual of its own is not reported", () => {
+
+  const warnings = watching()
+    , selector = jselector("todos", todos => ({ count : todos.items.length }), undefined, undefined, { outputEqual : "deep" })
+
+  selector({ todos : { items : [ 1 ] } })
+  selector({ todos : { items : [ 2 ] } })
+
+  assert.strictEqual(warnings.length, 0)
+
+})
+
+test("freeze deep-freezes the inputs, so a mutation throws where it happens", () => {
+
+  watching({ freeze : true })
+
+  const selector = jselector("todos", todos => todos.items.length)
+    , state = { todos : { items : [ { done : false } ] } }
+
+  selector(state)
+
+  assert.ok(Object.isFrozen(state.todos))
+  assert.ok(Object.isFrozen(state.todos.items[0]))
+  assert.throws(() => state.todos.items.push({}), TypeError)
+
+})
+
+test("nothing is watched when it is off, or for selectors built before it was turned on", () => {
+
+  const warned = []
+    , warn = console.warn
+
+  console.warn = message => warned.push(message)
+
+  try {
+
+    const state = { todos : { items : [] } }
+      , before = jselector("todos", todos => ({ count : todos.items.length }))
+
+    devMode(true)
+
+    before(state)
+    state.todos.items.push(1)
+    before(state)
+    before({ todos : { items : [ 2 ] } })
+
+    devMode(false)
+
+    const after = jselector("todos", todos => ({ count : todos.items.length }))
+
+    after(state)
+    state.todos.items.push(2)
+    after(state)
+
+    assert.deepStrictEqual(warned, [])
+    assert.ok(!Object.isFrozen(state.todos))
+
+  } finally {
+    console.warn = warn
+  }
+
+})
+
+test("devMode(true) warns through console.warn", () => {
+
+  const warned = []
+    , warn = console.warn
+
+  console.warn = message => warned.push(message)
+
+  try {
+
+    devMode(true)
+
+    const selector = jselector("todos", todos => todos.items.length)
+      , state = { todos : { items : [] } }
+
+    selector(state)
+    state.todos.items.push(1)
+    selector(state)
+
+    assert.strictEqual(warned.length, 1)
+
+  } finally {
+    console.warn = warn
+  }
+
+})
@@ -0,0 +1,129 @@
+/**
+ * options.inputEqual and options.outputEqual, and the comparisons behind them
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, shallowEqual, deepEqual } = require('../jselector.babel.js')
+
+test("shallowEqual compares one level deep", () => {
+
+  const inner = { a : 1 }
+
+  assert.ok(shallowEqual({ x : inner, y : 2 }, { x : inner, y : 2 }))
+  assert.ok(shallowEqual([ inner, 2 ], [ inner, 2 ]))
+  assert.ok(!shallowEqual({ x : { a : 1 } }, { x : { a : 1 } }))
+  assert.ok(!shallowEqual({ 0 : 1 }, [ 1 ]))
+  assert.ok(!shallowEqual({ a : undefined }, { b : undefined }))
+  assert.ok(!shallowEqual(null, {}))
+
+})
+
+test("deepEqual compares all the way down", () => {
+
+  assert.ok(deepEqual({ x : { a : [ 1, { b : 2 } ] }, d : new Date(5) }, { x : { a : [ 1, { b : 2 } ] }, d : new Date(5) }))
+  assert.ok(!deepEqual({ x : { a : [ 1, { b : 2 } ] } }, { x : { a : [ 1, { b : 3 } ] } }))
+  assert.ok(!deepEqual(new Date(5), new Date(6)))
+  assert.ok(!deepEqual(new Date(5), {}))
+  assert.ok(!deepEqual({ 0 : 1 }, [ 1 ]))
+
+})
+
+test("inputEqual shallow doesn't run the filter again for a shallow equal input", () => {
+
+  let runs = 0
+
+  const selector = jselector(state => state.ids, (state, ids) => (runs++, ids.length), undefined, undefined, { inputEqual : "shallow" })
+
+  selector({ ids : [ 1, 2 ] })
+  selector({ ids : [ 1, 2 ] })
+  assert.strictEqual(runs, 1)
+
+  selector({ ids : [ 1, 3 ] })
+  assert.strictEqual(runs, 2)
+
+})
+
+test("inputEqual deep compares the value found at a path", () => {
+
+  let runs = 0
+
+  const selector = jselector("filters.current", current => (runs++, Object.keys(current)), undefined, undefined, { inputEqual : "deep" })
+
+  selector({ filters : { current : { tags : [ "a" ], done : true } } })
+  selector({ filters : { current : { tags : [ "a" ], done : true } } })
+  assert.strictEqual(runs, 1)
+
+  selector({ filters : { current : { tags : [ "b" ], done : true } } })
+  assert.strictEqual(runs, 2)
+
+})
+
+test("inputEqual takes a comparator of its own", () => {
+
+  let runs = 0
+
+  const sameId = (a, b) => !!a && !!b && a.id === b.id
+    , selector = jselector(state => state.user, (state, user) => (runs++, user.name), undefined, undefined, { inputEqual : sameId })
+
+  assert.strictEqual(selector({ user : { id : 1, name : "ann" } }), "ann")
+  assert.strictEqual(selector({ user : { id : 1, name : "anne" } }), "ann")
+  assert.strictEqual(selector({ user : { id : 2, name : "bob" } }), "bob")
+  assert.strictEqual(runs, 2)
+
+})
+
+test("an equal output hands back the previous reference", () => {
+
+  const kinds = {
+    path : options => jselector("todos", todos => todos.items.filter(item => item.done), undefined, undefined, options),
+    simple : options => jselector(state => state.todos, (state, todos) => todos.items.filter(item => item.done), undefined, undefined, options),
+    single : options => jselector(state => state.todos.items.filter(item => item.done), undefined, undefined, undefined, options)
+  }
+
+  const done = { done : true }
+    , first = { todos : { items : [ done, { done : false } ] } }
+    , second = { todos : { items : [ done ] } }
+    , third = { todos : { items : [ { done : true } ] } }
+
+  Object.keys(kinds).forEach(kind => {
+
+    const shallow = kinds[kind]({ outputEqual : "shallow" })
+      , result = shallow(first)
+
+    assert.strictEqual(shallow(second), result, kind)
+    assert.notStrictEqual(shallow(third), result, kind)
+
+    const deep = kinds[kind]({ outputEqual : "deep" })
+      , deepResult = deep(first)
+
+    assert.strictEqual(deep(third), deepResult, kind)
+
+    const strict = kinds[kind]({})
+
+    assert.notStrictEqual(strict(second), strict(first), kind)
+
+    const byLength = kinds[kind]({ outputEqual : (a, b) => !!a && !!b && a.length === b.length })
+      , lengthResult = byLength(first)
+
+    assert.strictEqual(byLength({ todos : { items : [ { done : true, other : 1 } ] } }), lengthResult, kind)
+
+  })
+
+})
+
+test("an equal output doesn't count as a change for the tree", () => {
+
+  const tree = jselector({ done : [ "todos", todos => todos.items.filter(item => item.done), undefined, { outputEqual : "shallow" } ] })
+    , done = { done : true }
+    , result = tree({ todos : { items : [ done ] } })
+
+  assert.strictEqual(tree({ todos : { items : [ done, { done : false } ] } }), result)
+
+})
+
+test("an unknown comparison name throws when the selector is built", () => {
+
+  assert.throws(() => jselector("todos", null, undefined, undefined, { inputEqual : "loose" }), /unknown equality "loose"/)
+  assert.throws(() => jselector(state => state, () => 1, undefined, undefined, { outputEqual : "same" }), /unknown equality "same"/)
+
+})
@@ -0,0 +1,167 @@
+/**
+ * What happens when a filter, valueFun, derived function or final callback throws, see resolveErrors
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector } = require('../jselector.babel.js')
+
+// each kind built around a function that throws while fail.on is set, read(result) is what that function gave
+const kinds = {
+
+  path : (fail, options) => ({
+    selector : jselector("a.b", b => fail.check(b * 10), "def", undefined, options),
+    read : result => result
+  }),
+
+  simple : (fail, options) => ({
+    selector : jselector(state => state.a.b, (state, b) => fail.check(b * 10), "def", undefined, options),
+    read : result => result
+  }),
+
+  single : (fail, options) => ({
+    selector : jselector(state => fail.check(state.a.b * 10), undefined, "def", undefined, options),
+    read : result => result
+  }),
+
+  derived : (fail, options) => ({
+    selector : jselector({ b : "a.b", d : [ [ "b" ], b => fail.check(b * 10), "def", options ] }),
+    read : result => result.d
+  }),
+
+  group : (fail, options) => ({
+    selector : jselector({ b : "a.b" }, r => ({ d : fail.check(r.b * 10) }), undefined, undefined, options),
+    read : result => result.d
+  })
+
+}
+
+const failing = () => {
+  const fail = { on : false, calls : 0 }
+  fail.check = value => {
+    fail.calls++
+    if (fail.on)
+      throw new Error("broken")
+    return value
+  }
+  return fail
+}
+
+const one = { a : { b : 1 } }
+  , two = { a : { b : 2 } }
+
+Object.keys(kinds).forEach(kind => {
+
+  test(`${ kind }: rethrow is the default, onError hears about it first, and the next call runs again`, () => {
+
+    const fail = failing()
+      , reported = []
+      , { selector, read } = kinds[kind](fail, { onError : (error, info) => reported.push([ error.message, info.kind ]) })
+
+    assert.strictEqual(read(selector(one)), 10)
+
+    fail.on = true
+
+    assert.throws(() => selector(two), /broken/)
+    assert.deepStrictEqual(reported, [ [ "broken", kind ] ])
+
+    fail.on = false
+
+    // the same state, nothing of the failed run was kept
+    assert.strictEqual(read(selector(two)), 20)
+
+  })
+
+  test(`${ kind }: keep returns the last good value until it works again`, () => {
+
+    const fail = failing()
+      , { selector, read } = kinds[kind](fail, { errors : "keep" })
+
+    assert.strictEqual(read(selector(one)), 10)
+
+    fail.on = true
+
+    assert.strictEqual(read(selector(two)), 10)
+
+    fail.on = false
+
+    assert.strictEqual(read(selector(two)), 20)
+
+  })
+
+  test(`${ kind }: default returns the fallback until it works again`, () => {
+
+    const fail = failing()
+      , { selector, read } = kinds[kind](fail, { errors : "default", fallback : kind === "group" ? { d : -1 } : -1 })
+
+    fail.on = true
+
+    assert.strictEqual(read(selector(one)), -1)
+
+    fail.on = false
+
+    assert.strictEqual(read(selector(one)), 10)
+
+  })
+
+})
+
+test("default without a fallback gives the def, or the group without what the callback adds", () => {
+
+  const fail = failing()
+
+  fail.on = true
+
+  ;[ "path", "simple", "single", "derived" ].forEach(kind => {
+    const { selector, read } = kinds[kind](fail, { errors : "default" })
+    assert.strictEqual(read(selector(one)), "def", kind)
+  })
+
+  const { selector } = kinds.group(fail, { errors : "default" })
+
+  assert.deepStrictEqual(selector(one), { b : 1 })
+
+})
+
+test("a group that keeps hands back the very same object, and its callback runs again on the next call", () => {
+
+  const fail = failing()
+    , { selector } = kinds.group(fail, { errors : "keep" })
+    , first = selector(one)
+
+  fail.on = true
+
+  assert.strictEqual(selector(two), first)
+  assert.strictEqual(selector(two), first)
+  assert.strictEqual(fail.calls, 3)
+
+  fail.on = false
+
+  assert.deepStrictEqual(selector(two), { b : 2, d : 20 })
+  assert.strictEqual(fail.calls, 4)
+
+})
+
+test("a tree hands its policy and onError down, a selector's own options win", () => {
+
+  const fail = failing()
+    , reported = []
+
+  const tree = jselector({
+    kept : [ "a.b", b => fail.check(b * 10) ],
+    thrown : [ "a.b", b => fail.check(b), undefined, { errors : "default", fallback : "own" } ]
+  }, null, undefined, undefined, { errors : "keep", onError : (error, info) => reported.push(info.key) })
+
+  assert.deepStrictEqual(tree(one), { kept : 10, thrown : 1 })
+
+  fail.on = true
+
+  assert.deepStrictEqual(tree(two), { kept : 10, thrown : "own" })
+  assert.deepStrictEqual(reported, [ "kept", "thrown" ])
+
+})
+
+test("an unknown policy throws when the selector is built", () => {
+
+  assert.throws(() => jselector("a.b", null, undefined, undefined, { errors : "ignore" }), /unknown error policy "ignore"/)
+
+})
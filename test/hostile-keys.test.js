@@ -0,0 +1,100 @@
+/**
+ * Keys that would break out of the generated code if they were ever written into it unescaped
+ * Every case runs against the compiled selectors and again in interpreter mode
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, jselectors, interpreterMode, parsePath, set } = require('../jselector.babel.js')
+
+const HOSTILE = [
+  `it's`,
+  `say "hi"`,
+  `back\\slash`,
+  `trailing\\`,
+  "line\u2028separator",
+  "paragraph\u2029separator",
+  `'];process.exit()//`,
+  `"];process.exit()//`,
+  `'];globalThis.pwned=true;//`,
+  `"];globalThis.pwned=true;//`,
+  "`${globalThis.pwned=true}`",
+  `\\"];globalThis.pwned=true;//`,
+  `}};globalThis.pwned=true;{{`,
+  `\n];globalThis.pwned=true;//`
+]
+
+// a quoted path segment, backslash escapes the quote and itself
+const quoted = (key, quote='"') => quote + key.replace(/[\\"']/g, char => char === quote || char === "\\" ? "\\" + char : char) + quote
+
+const label = key => JSON.stringify(key)
+
+for (const interpreted of [ false, true ]) {
+
+  test(`${ interpreted ? "interpreter" : "compiled" } mode`, async t => {
+
+    interpreterMode(interpreted)
+
+    t.after(() => interpreterMode(undefined))
+
+    for (const key of HOSTILE) {
+
+      const state = { root : { [key] : { value : key } }, [key] : { value : "top" } }
+
+      await t.test(`quoted bracket segments ${ label(key) }`, () => {
+        assert.deepStrictEqual(parsePath(`root[${ quoted(key) }].value`), [ "root", key, "value" ])
+        assert.deepStrictEqual(parsePath(`root[${ quoted(key, "'") }].value`), [ "root", key, "value" ])
+        assert.strictEqual(jselector(`root[${ quoted(key) }].value`)(state), key)
+        assert.strictEqual(jselector(`root[${ quoted(key, "'") }].value`)(state), key)
+      })
+
+      await t.test(`reducer root ${ label(key) }`, () => {
+        assert.strictEqual(jselector(`[${ quoted(key) }].value`)(state), "top")
+      })
+
+      if (!/[.[\]{}*]/.test(key) && !/^\s/.test(key))
+        await t.test(`dot segments ${ label(key) }`, () => {
+          assert.strictEqual(jselector(`root.${ key }.value`)(state), key)
+        })
+
+      await t.test(`jselectors keys ${ label(key) }`, () => {
+        const result = jselectors({ [key] : `root[${ quoted(key) }].value`, plain : "root" })(state)
+        assert.deepStrictEqual(Object.keys(result), [ key, "plain" ])
+        assert.strictEqual(result[key], key)
+      })
+
+      await t.test(`lens writes ${ label(key) }`, () => {
+        const next = set(state, `root[${ quoted(key) }].value`, "written")
+        assert.strictEqual(next.root[key].value, "written")
+        assert.strictEqual(state.root[key].value, key)
+      })
+
+    }
+
+    assert.strictEqual(globalThis.pwned, undefined)
+
+  })
+
+  test(`${ interpreted ? "interpreter" : "compiled" } mode rejects __proto__`, () => {
+
+    interpreterMode(interpreted)
+
+    try {
+
+      for (const path of [ "a.__proto__", "a.__proto__.polluted", 'a["__proto__"]', "a['__proto__'].polluted", "__proto__.polluted" ])
+        assert.throws(() => jselector(path), SyntaxError, path)
+
+      assert.throws(() => set({}, "__proto__.polluted", true), SyntaxError)
+      assert.throws(() => set({}, 'a["__proto__"].polluted', true), SyntaxError)
+
+      // a literal would set the prototype instead of making a key
+      assert.throws(() => jselectors(JSON.parse('{ "__proto__" : "a.b" }')), /not allowed/)
+
+      assert.strictEqual({}.polluted, undefined)
+
+    } finally {
+      interpreterMode(undefined)
+    }
+
+  })
+
+}
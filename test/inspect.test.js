@@ -0,0 +1,34 @@
+/**
+ * inspect and printInspection
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, inspect, printInspection } = require('../jselector.babel.js')
+
+const state = { todos : { items : [ 1, 2 ] }, session : { user : "ann" } }
+
+test("a top level group keeps the key it was given", () => {
+
+  const tree = jselector({ user : "session.user", nested : { items : "todos.items" } }, undefined, undefined, "UserCard")
+
+  tree(state)
+
+  const description = inspect(tree)
+
+  assert.strictEqual(description.key, "UserCard")
+  assert.deepStrictEqual(description.children.map(child => [ child.kind, child.key ]), [ [ "path", "user" ], [ "group", "nested" ] ])
+  assert.strictEqual(printInspection(tree).split("\n")[0], "UserCard group")
+
+})
+
+test("a top level group without one has none", () => {
+
+  assert.strictEqual(inspect(jselector({ user : "session.user" })).key, undefined)
+
+})
+
+test("only selectors can be inspected", () => {
+
+  assert.throws(() => inspect(() => 1), TypeError)
+
+})
@@ -0,0 +1,187 @@
+/**
+ * Lenses, set, update and remove
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const Immutable = require('immutable')
+const { lens, set, update, remove, accessors, interpreterMode } = require('../jselector.babel.js')
+
+const state = () => ({
+  todos : {
+    items : [ { id : 1, done : true }, { id : 2, done : false }, { id : 3, done : false } ],
+    byId : { "user.42" : { name : "Ann" }, other : { name : "Bob" } }
+  },
+  session : { user : "ann" }
+})
+
+const modes = [ [ "compiled", false ], [ "interpreter", true ] ]
+
+const inMode = (mode, fun) => {
+  interpreterMode(mode)
+  try {
+    return fun()
+  } finally {
+    interpreterMode(undefined)
+  }
+}
+
+modes.forEach(([ name, mode ]) => {
+
+  test(`only the containers along the path are copied, ${ name }`, () => inMode(mode, () => {
+
+    const before = state()
+      , after = set(before, "todos.items[1].done", true)
+
+    assert.strictEqual(after.todos.items[1].done, true)
+    assert.strictEqual(before.todos.items[1].done, false)
+
+    assert.notStrictEqual(after, before)
+    assert.notStrictEqual(after.todos, before.todos)
+    assert.notStrictEqual(after.todos.items, before.todos.items)
+
+    assert.strictEqual(after.session, before.session)
+    assert.strictEqual(after.todos.byId, before.todos.byId)
+    assert.strictEqual(after.todos.items[0], before.todos.items[0])
+    assert.strictEqual(after.todos.items[2], before.todos.items[2])
+
+  }))
+
+  test(`writing the value that is already there hands back state, ${ name }`, () => inMode(mode, () => {
+
+    const before = state()
+
+    assert.strictEqual(set(before, "todos.items[0].done", true), before)
+    assert.strictEqual(update(before, "session.user", user => user), before)
+    assert.strictEqual(remove(before, "todos.byId.nobody"), before)
+    assert.strictEqual(remove(before, "todos.missing.deeper"), before)
+
+  }))
+
+  test(`negative indices count back from the end, ${ name }`, () => inMode(mode, () => {
+
+    const before = state()
+
+    assert.strictEqual(set(before, "todos.items[-1].done", true).todos.items[2].done, true)
+    assert.strictEqual(update(before, "todos.items[-3].id", id => id * 10).todos.items[0].id, 10)
+    assert.throws(() => set(before, "todos.items[-4].done", true), RangeError)
+
+  }))
+
+  test(`remove splices array items out and deletes keys, ${ name }`, () => inMode(mode, () => {
+
+    const before = state()
+      , withoutFirst = remove(before, "todos.items[0]")
+      , withoutUser = remove(before, "todos.byId[\"user.42\"]")
+
+    assert.deepStrictEqual(withoutFirst.todos.items.map(item => item.id), [ 2, 3 ])
+    assert.strictEqual(withoutFirst.todos.items[0], before.todos.items[1])
+    assert.deepStrictEqual(Object.keys(withoutUser.todos.byId), [ "other" ])
+    assert.strictEqual(before.todos.items.length, 3)
+
+  }))
+
+  test(`missing containers are created on the way, ${ name }`, () => inMode(mode, () => {
+
+    assert.deepStrictEqual(set({}, "a.b[0].c", 1), { a : { b : [ { c : 1 } ] } })
+    assert.deepStrictEqual(set(undefined, "a", 1), { a : 1 })
+
+  }))
+
+})
+
+test("wildcards and filters write every item they match", () => {
+
+  const before = state()
+    , allDone = set(before, "todos.items.*.done", true)
+    , flipped = update(before, "todos.items[?done=false].done", done => !done)
+    , cleared = remove(before, "todos.items[?done=false]")
+
+  assert.deepStrictEqual(allDone.todos.items.map(item => item.done), [ true, true, true ])
+  assert.strictEqual(allDone.todos.items[0], before.todos.items[0])
+
+  assert.deepStrictEqual(flipped.todos.items.map(item => item.done), [ true, true, true ])
+
+  assert.deepStrictEqual(cleared.todos.items.map(item => item.id), [ 1 ])
+  assert.strictEqual(cleared.todos.items[0], before.todos.items[0])
+
+  assert.deepStrictEqual(update(before, "todos.byId.*.name", name => name.toUpperCase()).todos.byId, { "user.42" : { name : "ANN" }, other : { name : "BOB" } })
+
+  assert.strictEqual(set(before, "todos.items[?id=9].done", true), before)
+
+})
+
+test("the compiled and interpreted writers agree", () => {
+
+  const writes = [
+    st => set(st, "todos.items[1].done", true),
+    st => set(st, "todos.items[-1].id", 30),
+    st => set(st, "todos.byId['user.42'].name", "Anne"),
+    st => set(st, "new.path[0]", "x"),
+    st => update(st, "session.user", user => user + "!"),
+    st => remove(st, "todos.items[1]"),
+    st => remove(st, "todos.byId.other"),
+    st => remove(st, "nothing.here")
+  ]
+
+  const run = mode => inMode(mode, () => writes.map(write => write(state())))
+
+  assert.deepStrictEqual(run(false), run(true))
+
+})
+
+test("lens builds the path once and reads it too", () => {
+
+  const done = lens("todos.items[1].done")
+    , before = state()
+
+  assert.strictEqual(done.get(before), false)
+  assert.strictEqual(done.get(done.set(before, true)), true)
+  assert.strictEqual(done.get(done.update(before, value => !value)), true)
+  assert.deepStrictEqual(Object.keys(done.remove(before).todos.items[1]), [ "id" ])
+
+})
+
+test("Map and Immutable containers are written through their accessors", () => {
+
+  const options = { accessors : [ accessors.map, accessors.immutable ] }
+    , byMap = { users : new Map([ [ "a", { name : "Ann" } ], [ "b", { name : "Bob" } ] ]) }
+    , mapped = set(byMap, "users.a.name", "Anne", options)
+
+  assert.ok(mapped.users instanceof Map)
+  assert.notStrictEqual(mapped.users, byMap.users)
+  assert.strictEqual(mapped.users.get("a").name, "Anne")
+  assert.strictEqual(mapped.users.get("b"), byMap.users.get("b"))
+  assert.strictEqual(byMap.users.get("a").name, "Ann")
+  assert.deepStrictEqual(Array.from(remove(byMap, "users.b", options).users.keys()), [ "a" ])
+
+  const immutable = { todos : Immutable.fromJS({ items : [ { done : false } ], filter : "all" }) }
+    , written = set(immutable, "todos.items[0].done", true, options)
+
+  assert.ok(Immutable.Map.isMap(written.todos))
+  assert.strictEqual(written.todos.getIn([ "items", 0, "done" ]), true)
+  assert.strictEqual(immutable.todos.getIn([ "items", 0, "done" ]), false)
+  assert.strictEqual(remove(immutable, "todos.filter", options).todos.has("filter"), false)
+
+  assert.throws(() => set(byMap, "users.a.name", "Anne"), TypeError)
+
+})
+
+test("paths that can only be read, and the prototype, can't be written", () => {
+
+  const before = state()
+
+  assert.throws(() => set(before, "todos.**.done", true), TypeError)
+  assert.throws(() => set(before, "todos.items.count()", 1), TypeError)
+  assert.throws(() => set(before, "todos.items.*.{id}", 1), TypeError)
+  assert.throws(() => set(before, "", 1), TypeError)
+
+  assert.throws(() => set(before, "__proto__.polluted", true), SyntaxError)
+
+  modes.forEach(([ name, mode ]) => inMode(mode, () => {
+    assert.throws(() => set({}, "constructor.prototype.polluted", true), TypeError, name)
+    assert.throws(() => set(before, "session.constructor.prototype.polluted", true), TypeError, name)
+  }))
+
+  assert.strictEqual(({}).polluted, undefined)
+
+})
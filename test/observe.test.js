@@ -0,0 +1,165 @@
+/**
+ * observe, toObservable and toReadable against a minimal store
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, asyncSelector } = require('../jselector.babel.js')
+const { observe, toObservable, toReadable } = require('../jselector.observe.babel.js')
+
+function createStore (state) {
+
+  let listeners = []
+
+  return {
+    getState : () => state,
+    subscribe (listener) {
+      listeners.push(listener)
+      return () => listeners = listeners.filter(item => item !== listener)
+    },
+    dispatch (next) {
+      state = next
+      listeners.slice().forEach(listener => listener())
+    },
+    listenerCount : () => listeners.length
+  }
+
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+const initial = { session : { user : "ann" }, ui : { open : false } }
+
+test("observe calls onChange only when the selected value changes", () => {
+
+  const store = createStore(initial)
+    , changes = []
+    , stop = observe(store, jselector({ user : "session.user" }), (value, previous) => changes.push([ previous.user, value.user ]))
+
+  store.dispatch(Object.assign({}, initial, { ui : { open : true } }))
+  store.dispatch(Object.assign({}, initial, { session : { user : "bob" } }))
+
+  assert.deepStrictEqual(changes, [ [ "ann", "bob" ] ])
+
+  stop()
+
+  assert.strictEqual(store.listenerCount(), 0)
+
+  store.dispatch(initial)
+
+  assert.strictEqual(changes.length, 1)
+
+})
+
+test("observe passes ownProps to the selector", () => {
+
+  const store = createStore({ users : { a : "ann", b : "bob" } })
+    , seen = []
+
+  observe(store, jselector((state, props) => state.users[props.id]), value => seen.push(value), { id : "b" })
+
+  store.dispatch({ users : { a : "ann", b : "barbara" } })
+
+  assert.deepStrictEqual(seen, [ "barbara" ])
+
+})
+
+test("observe hears about an async result that settles between dispatches", async () => {
+
+  const store = createStore({ query : "a" })
+    , seen = []
+
+  const tree = jselector({ results : asyncSelector(state => state.query, (state, query) => Promise.resolve(query + "!")) })
+
+  const stop = observe(store, tree, value => seen.push(value.results.status + " " + value.results.value))
+
+  await tick()
+
+  assert.deepStrictEqual(seen, [ "resolved a!" ])
+
+  stop()
+
+})
+
+test("toObservable gives every subscriber the current value first, then each change", () => {
+
+  const store = createStore(initial)
+    , observable = toObservable(store, jselector("session.user"))
+    , first = []
+    , second = []
+
+  const one = observable.subscribe({ next : value => first.push(value) })
+
+  store.dispatch(Object.assign({}, initial, { session : { user : "bob" } }))
+
+  const two = observable.subscribe(value => second.push(value))
+
+  store.dispatch(Object.assign({}, initial, { session : { user : "cy" } }))
+
+  one.unsubscribe()
+  two.unsubscribe()
+
+  store.dispatch(initial)
+
+  assert.deepStrictEqual(first, [ "ann", "bob", "cy" ])
+  assert.deepStrictEqual(second, [ "bob", "cy" ])
+  assert.strictEqual(store.listenerCount(), 0)
+
+  const symbol = typeof Symbol === "function" && Symbol.observable || "@@observable"
+
+  assert.strictEqual(observable[symbol](), observable)
+
+})
+
+test("toObservable sends a selector that throws on a later dispatch to observer.error, and ends the subscription", () => {
+
+  const store = createStore(initial)
+    , values = []
+    , errors = []
+
+  toObservable(store, jselector(state => {
+    if (!state.session)
+      throw new Error("no session")
+    return state.session.user
+  })).subscribe({ next : value => values.push(value), error : error => errors.push(error.message) })
+
+  assert.doesNotThrow(() => store.dispatch({ ui : {} }))
+
+  assert.deepStrictEqual(values, [ "ann" ])
+  assert.deepStrictEqual(errors, [ "no session" ])
+  assert.strictEqual(store.listenerCount(), 0)
+
+})
+
+test("toObservable sends a selector that throws on subscribe to observer.error, or throws without one", () => {
+
+  const store = createStore({})
+    , errors = []
+    , observable = toObservable(store, jselector(state => state.session.user))
+
+  observable.subscribe(() => {}, error => errors.push(error instanceof TypeError))
+
+  assert.deepStrictEqual(errors, [ true ])
+  assert.throws(() => observable.subscribe(() => {}), TypeError)
+  assert.strictEqual(store.listenerCount(), 0)
+
+})
+
+test("toReadable calls run right away, then on each change, until unsubscribed", () => {
+
+  const store = createStore(initial)
+    , readable = toReadable(store, jselector("session.user"))
+    , seen = []
+
+  const unsubscribe = readable.subscribe(value => seen.push(value))
+
+  store.dispatch(Object.assign({}, initial, { ui : { open : true } }))
+  store.dispatch(Object.assign({}, initial, { session : { user : "bob" } }))
+
+  unsubscribe()
+
+  store.dispatch(initial)
+
+  assert.deepStrictEqual(seen, [ "ann", "bob" ])
+  assert.strictEqual(store.listenerCount(), 0)
+
+})
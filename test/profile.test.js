@@ -0,0 +1,49 @@
+/**
+ * profileMode, and the keys top level groups are known by
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, profileMode, profileReport, profileReset } = require('../jselector.babel.js')
+
+const state = { todos : { items : [ 1, 2 ] }, session : { user : "ann" } }
+
+test.afterEach(() => {
+  profileMode(false)
+  profileReset()
+})
+
+test("top level groups with a key get profile entries of their own", () => {
+
+  profileMode(true)
+
+  const todoList = jselector({ items : "todos.items" }, r => ({ count : r.items.length }), undefined, "TodoList")
+    , userCard = jselector({ items : "todos.items", user : "session.user" }, r => r, undefined, "UserCard")
+
+  todoList(state)
+  userCard(state)
+  userCard(Object.assign({}, state))
+
+  const entries = profileReport().reduce(( all, entry ) => (all[entry.kind + " " + entry.label] = entry, all), {})
+
+  assert.strictEqual(entries["group TodoList"].calls, 1)
+  assert.strictEqual(entries["group UserCard"].calls, 2)
+  assert.strictEqual(entries["path TodoList.items todos.items"].calls, 1)
+  assert.strictEqual(entries["path UserCard.items todos.items"].calls, 2)
+  assert.strictEqual(entries["group (root)"], undefined)
+
+})
+
+test("groups without a key still share the root entry", () => {
+
+  profileMode(true)
+
+  jselector({ items : "todos.items" })(state)
+  jselector({ user : "session.user" })(state)
+
+  const root = profileReport().filter(entry => entry.kind === "group")
+
+  assert.strictEqual(root.length, 1)
+  assert.strictEqual(root[0].label, "(root)")
+  assert.strictEqual(root[0].calls, 2)
+
+})
@@ -0,0 +1,145 @@
+/**
+ * The query dialect, filters, recursive descent, projections and aggregates, see parsePath and buildQuery
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, interpreterMode, parsePath } = require('../jselector.babel.js')
+
+const state = () => ({
+  todos : { items : [
+    { id : 1, done : true, price : 5, author : { name : "Ann" } },
+    { id : 2, done : false, price : 12, author : { name : "Bob" } },
+    { id : 3, done : null, price : 10 }
+  ] },
+  entities : { a : { errors : [ "x" ], child : { errors : [ "y" ] } }, b : { ok : 1 } }
+})
+
+const cases = [
+  [ "todos.items[?done=true].id", [ 1 ] ],
+  [ "todos.items[?done].id", [ 1 ] ],
+  [ "todos.items[?done!=true].id", [ 2, 3 ] ],
+  [ "todos.items[?done=null].id", [ 3 ] ],
+  [ "todos.items[?price>10].id", [ 2 ] ],
+  [ "todos.items[?price>=10].id", [ 2, 3 ] ],
+  [ "todos.items[?price<10].id", [ 1 ] ],
+  [ "todos.items[?price<=10].id", [ 1, 3 ] ],
+  [ "todos.items[?author.name=\"Bob\"].id", [ 2 ] ],
+  [ "todos.items[?author.name='Ann'].id", [ 1 ] ],
+  [ "todos.items[?author.name].id", [ 1, 2 ] ],
+  [ "entities.**.errors", [ [ "x" ], [ "y" ] ] ],
+  [ "todos.items.*.{id,price}", [ { id : 1, price : 5 }, { id : 2, price : 12 }, { id : 3, price : 10 } ] ],
+  [ "todos.items[0].{id,done}", { id : 1, done : true } ],
+  [ "todos.items[?done=true].{id}", [ { id : 1 } ] ],
+  [ "todos.items.count()", 3 ],
+  [ "todos.items[?done=true].count()", 1 ],
+  [ "todos.items.*.price.sum()", 27 ],
+  [ "todos.items.*.price.min()", 5 ],
+  [ "todos.items.*.price.max()", 12 ],
+  [ "todos.items.*.price.avg()", 9 ],
+  [ "todos.missing.count()", 0 ],
+  [ "todos.items[?done=false].author.name", [ "Bob" ] ]
+]
+
+const modes = [ [ "compiled", false ], [ "interpreter", true ] ]
+
+modes.forEach(([ name, mode ]) => {
+
+  test(`queries give what they say, ${ name }`, () => {
+
+    interpreterMode(mode)
+
+    try {
+      cases.forEach(([ path, expected ]) => assert.deepStrictEqual(jselector(path)(state()), expected, path))
+    } finally {
+      interpreterMode(undefined)
+    }
+
+  })
+
+})
+
+test("compiled and interpreted queries agree", () => {
+
+  const st = state()
+
+  const run = mode => {
+    interpreterMode(mode)
+    try {
+      return cases.map(([ path ]) => jselector(path)(st))
+    } finally {
+      interpreterMode(undefined)
+    }
+  }
+
+  assert.deepStrictEqual(run(false), run(true))
+
+})
+
+test("malformed queries throw a SyntaxError with the position", () => {
+
+  const errors = [
+    [ "todos.items[?]", 13, "empty filter" ],
+    [ "todos.items[?done=]", 18, "expected a value after =" ],
+    [ "todos.items[?a.count()]", 13, "filters can only test plain paths" ],
+    [ "todos.items.nope()", 12, /unknown aggregate nope\(\)/ ],
+    [ "todos.items.count().x", 12, "count() has to be the last segment" ],
+    [ "todos.{a,}", 6, "\"\" is not a valid projection key" ],
+    [ "todos.{a", 6, "unclosed projection" ],
+    [ "todos.{__proto__}", 6, "\"__proto__\" is not a valid projection key" ]
+  ]
+
+  errors.forEach(([ path, position, reason ]) => {
+
+    const error = (() => { try { parsePath(path) } catch (e) { return e } })()
+
+    assert.ok(error instanceof SyntaxError, path)
+    assert.strictEqual(error.position, position, path)
+
+    if (reason instanceof RegExp)
+      assert.match(error.reason, reason, path)
+    else
+      assert.strictEqual(error.reason, reason, path)
+
+  })
+
+})
+
+test("a query compares its list shallow, so an equal list doesn't run the filter again", () => {
+
+  const calls = []
+    , selector = jselector("todos.items[?done=true]", list => (calls.push(list), list.map(item => item.id)))
+    , first = state()
+    , result = selector(first)
+
+  assert.deepStrictEqual(result, [ 1 ])
+
+  // the same root is not even dug again
+  assert.strictEqual(selector(first), result)
+
+  // a new root, but the same items pass the filter
+  const second = Object.assign({}, first, { todos : { items : first.todos.items.concat({ id : 4, done : false }) } })
+
+  assert.strictEqual(selector(second), result)
+  assert.strictEqual(calls.length, 1)
+
+  // one of them changed
+  const third = { todos : { items : [ Object.assign({}, first.todos.items[0], { price : 6 }) ] } }
+
+  assert.deepStrictEqual(selector(third), [ 1 ])
+  assert.strictEqual(calls.length, 2)
+
+})
+
+test("options.inputEqual replaces the shallow comparison", () => {
+
+  let calls = 0
+
+  const selector = jselector("todos.items[?done=true]", list => (calls++, list.length), undefined, undefined, { inputEqual : "strict" })
+    , first = state()
+
+  selector(first)
+  selector(Object.assign({}, first, { todos : Object.assign({}, first.todos) }))
+
+  assert.strictEqual(calls, 2)
+
+})
@@ -0,0 +1,118 @@
+/**
+ * The hooks, rendered with react-test-renderer against a minimal store
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { createElement } = require('react')
+const { create, act } = require('react-test-renderer')
+const { asyncSelector } = require('../jselector.babel.js')
+const { useJSelector, useJSelectors } = require('../jselector.react.babel.js')
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true
+
+function createStore (state) {
+
+  let listeners = []
+
+  return {
+    getState : () => state,
+    subscribe (listener) {
+      listeners.push(listener)
+      return () => listeners = listeners.filter(item => item !== listener)
+    },
+    dispatch (next) {
+      state = next
+      listeners.slice().forEach(listener => listener())
+    },
+    listenerCount : () => listeners.length
+  }
+
+}
+
+// renders the hook and keeps every value it rendered with
+function renderHook (hook, props) {
+
+  const renders = []
+
+  const Component = props => {
+    renders.push(hook(props))
+    return null
+  }
+
+  let renderer
+
+  act(() => {
+    renderer = create(createElement(Component, props))
+  })
+
+  return {
+    renders,
+    update : props => act(() => renderer.update(createElement(Component, props))),
+    unmount : () => act(() => renderer.unmount())
+  }
+
+}
+
+test("re-renders only when the result reference changes", () => {
+
+  const store = createStore({ todos : { title : "first" }, session : { user : "someone" } })
+    , spec = { title : "todos.title" }
+    , { renders } = renderHook(props => useJSelectors(store, spec, props), {})
+
+  assert.strictEqual(renders.length, 1)
+  assert.strictEqual(renders[0].title, "first")
+
+  // a new root, but nothing the component selects
+  act(() => store.dispatch(Object.assign({}, store.getState(), { session : { user : "someone else" } })))
+
+  assert.strictEqual(renders.length, 1)
+
+  act(() => store.dispatch(Object.assign({}, store.getState(), { todos : { title : "second" } })))
+
+  assert.strictEqual(renders.length, 2)
+  assert.strictEqual(renders[1].title, "second")
+  assert.notStrictEqual(renders[1], renders[0])
+
+})
+
+test("picks up ownProps changes", () => {
+
+  const store = createStore({ users : { 1 : { name : "one" }, 2 : { name : "two" } } })
+    , { renders, update } = renderHook(props => useJSelector(store, "users.{ownProps.id}.name", props), { id : 1 })
+
+  assert.deepStrictEqual(renders, [ "one" ])
+
+  update({ id : 2 })
+
+  assert.strictEqual(renders[renders.length - 1], "two")
+
+})
+
+test("unmounting unsubscribes from the store", () => {
+
+  const store = createStore({ todos : { title : "first" } })
+    , { unmount } = renderHook(props => useJSelector(store, "todos.title", props), {})
+
+  assert.strictEqual(store.listenerCount(), 1)
+
+  unmount()
+
+  assert.strictEqual(store.listenerCount(), 0)
+
+})
+
+test("an async result that settles between dispatches renders", async () => {
+
+  let resolve
+
+  const store = createStore({ query : "a" })
+    , spec = asyncSelector(state => state.query, () => new Promise(done => resolve = done), "none")
+    , { renders } = renderHook(props => useJSelector(store, spec, props), {})
+
+  assert.strictEqual(renders[renders.length - 1].status, "pending")
+
+  await act(async () => resolve("found"))
+
+  assert.deepStrictEqual(renders[renders.length - 1], { status : "resolved", value : "found", error : undefined })
+
+})
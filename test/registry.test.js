@@ -0,0 +1,67 @@
+/**
+ * selectorRegistry, what stays and what goes
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, selectorRegistry, wrapByUniqueKey } = require('../jselector.babel.js')
+
+test("clear drops the weak instances as well as the strong ones", () => {
+
+  const registry = selectorRegistry({ weak : true })
+    , row = {}
+
+  registry.set(row, "weak")
+  registry.set("id", "strong")
+
+  registry.clear()
+
+  assert.strictEqual(registry.get(row), undefined)
+  assert.strictEqual(registry.get("id"), undefined)
+  assert.strictEqual(registry.release(row), false)
+
+  registry.set(row, "again")
+
+  assert.strictEqual(registry.get(row), "again")
+
+})
+
+test("primitive keys are compared as strings", () => {
+
+  const registry = selectorRegistry()
+
+  registry.set(1, "one")
+
+  assert.strictEqual(registry.get("1"), "one")
+  assert.strictEqual(registry.release(1), true)
+  assert.strictEqual(registry.stats().live, 0)
+
+})
+
+test("max evicts the least recently used instance", () => {
+
+  const registry = selectorRegistry({ max : 2 })
+
+  registry.set("a", 1)
+  registry.set("b", 2)
+  registry.get("a")
+  registry.set("c", 3)
+
+  assert.strictEqual(registry.get("b"), undefined)
+  assert.strictEqual(registry.get("a"), 1)
+  assert.strictEqual(registry.stats().evicted, 1)
+
+})
+
+test("wrapByUniqueKey with a plain object only finds the instances it made", () => {
+
+  let made = 0
+
+  const rows = wrapByUniqueKey(() => (made++, jselector(state => state.value)))()
+    , state = { value : 1 }
+
+  assert.strictEqual(rows("toString", state), 1)
+  assert.strictEqual(rows("constructor", state), 1)
+  assert.strictEqual(rows("toString", state), 1)
+  assert.strictEqual(made, 2)
+
+})
@@ -0,0 +1,131 @@
+/**
+ * validateSchema and schemaMode
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, validateSchema, schemaMode } = require('../jselector.babel.js')
+
+const reporting = options => {
+  const reports = []
+  schemaMode(Object.assign({ report : (message, info) => reports.push({ message, info }) }, options))
+  return reports
+}
+
+test.afterEach(() => schemaMode())
+
+test("validateSchema lists every violation with its path", () => {
+
+  const schema = {
+    type : "object",
+    shape : {
+      id : "number",
+      name : { type : "string", required : true },
+      status : { enum : [ "open", "done" ] },
+      tags : { type : "array", items : "string" },
+      owner : { type : [ "object", "null" ], shape : { id : "number" } },
+      anything : "any"
+    }
+  }
+
+  assert.deepStrictEqual(validateSchema({ id : 1, name : "a", status : "open", tags : [ "x" ], owner : null, anything : 1 }, schema), [])
+
+  assert.deepStrictEqual(validateSchema({ id : "7", status : "gone", tags : [ "x", 2 ], owner : { id : "8" } }, schema), [
+    { path : "id", message : "expected number, got string" },
+    { path : "name", message : "is required" },
+    { path : "status", message : "expected one of \"open\", \"done\", got \"gone\"" },
+    { path : "tags[1]", message : "expected string, got number" },
+    { path : "owner.id", message : "expected number, got string" }
+  ])
+
+  assert.deepStrictEqual(validateSchema("x", "number"), [ { path : "", message : "expected number, got string" } ])
+  assert.deepStrictEqual(validateSchema(undefined, "number"), [])
+
+})
+
+test("a violation is reported with its label, and the value still comes back", () => {
+
+  const reports = reporting()
+    , selector = jselector("user", null, undefined, undefined, { schema : { shape : { id : "number" } } })
+    , user = { id : "7" }
+
+  assert.strictEqual(selector({ user }), user)
+  assert.strictEqual(reports.length, 1)
+  assert.match(reports[0].message, /user does not match its schema, id expected number, got string/)
+  assert.deepStrictEqual([ reports[0].info.kind, reports[0].info.value, reports[0].info.violations ], [ "path", user, [ { path : "id", message : "expected number, got string" } ] ])
+
+})
+
+test("the value is only checked when it is recomputed", () => {
+
+  const reports = reporting()
+    , selector = jselector(state => state.count, (state, count) => String(count), undefined, undefined, { schema : "number" })
+    , state = { count : 1 }
+
+  selector(state)
+  selector(state)
+  selector(state)
+
+  assert.strictEqual(reports.length, 1)
+
+  selector({ count : 2 })
+
+  assert.strictEqual(reports.length, 2)
+
+})
+
+test("strict mode throws a TypeError, which goes through the error policy", () => {
+
+  schemaMode({ strict : true })
+
+  const thrown = jselector("user", null, undefined, undefined, { schema : { shape : { id : "number" } } })
+    , error = (() => { try { thrown({ user : { id : "7" } }) } catch (e) { return e } })()
+
+  assert.ok(error instanceof TypeError)
+  assert.deepStrictEqual(error.violations, [ { path : "id", message : "expected number, got string" } ])
+  assert.strictEqual(error.label, "(root) user")
+
+  const kept = jselector("user", null, undefined, undefined, { schema : { shape : { id : "number" } }, errors : "default", fallback : null })
+
+  assert.strictEqual(kept({ user : { id : "7" } }), null)
+
+})
+
+test("schemaMode is read when the selector is built", () => {
+
+  const reports = reporting()
+    , selector = jselector("count", null, undefined, undefined, { schema : "number" })
+
+  schemaMode({ strict : true })
+
+  assert.doesNotThrow(() => selector({ count : "1" }))
+  assert.strictEqual(reports.length, 1)
+
+})
+
+test("a schema with a typo throws when the selector is built", () => {
+
+  assert.throws(() => jselector("user", null, undefined, undefined, { schema : { shape : { id : "numbr" } } }), /unknown schema type "numbr" at id/)
+  assert.throws(() => jselector("user", null, undefined, undefined, { schema : { items : { type : [ "string", "strng" ] } } }), /unknown schema type "strng" at \[0\]/)
+  assert.throws(() => jselector("user", null, undefined, undefined, { schema : 5 }), /has to be a type or an object/)
+
+})
+
+test("schemas work in jselectors array specs, derived keys included", () => {
+
+  const reports = reporting()
+
+  const tree = jselector({
+    user : [ "session.user", null, undefined, { schema : { shape : { name : "string" } } } ],
+    count : [ "todos.items", items => items.length, undefined, { schema : "string" } ],
+    label : [ [ "count" ], count => count, undefined, { schema : "string" } ]
+  }, undefined, undefined, "App")
+
+  tree({ session : { user : { name : 1 } }, todos : { items : [] } })
+
+  assert.deepStrictEqual(reports.map(report => [ report.info.label, report.info.kind ]), [
+    [ "App.user session.user", "path" ],
+    [ "App.count todos.items", "path" ],
+    [ "App.label", "derived" ]
+  ])
+
+})
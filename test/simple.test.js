@@ -0,0 +1,106 @@
+/**
+ * simpleSelector, and the options.cacheSize cache
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector } = require('../jselector.babel.js')
+
+const counting = options => {
+  const runs = []
+  const selector = jselector(state => state.id, (state, id) => (runs.push(id), { id }), undefined, undefined, options)
+  return { selector, runs }
+}
+
+test("cacheSize keeps that many test values, least recently used goes first", () => {
+
+  const { selector, runs } = counting({ cacheSize : 2 })
+
+  const a = selector({ id : "a" })
+    , b = selector({ id : "b" })
+
+  // a is used again, so b is the least recent
+  assert.strictEqual(selector({ id : "a" }), a)
+
+  selector({ id : "c" })
+
+  assert.strictEqual(selector({ id : "a" }), a)
+  assert.notStrictEqual(selector({ id : "b" }), b)
+
+  assert.deepStrictEqual(runs, [ "a", "b", "c", "b" ])
+  assert.deepStrictEqual(selector.stats, { hits : 2, misses : 4, size : 2 })
+
+})
+
+test("a multiple tuple is matched item by item", () => {
+
+  let runs = 0
+
+  const selector = jselector(
+    (state, props, multiple) => Object.assign(multiple, [ state.list, props.id ])
+    , (state, [ list, id ]) => (runs++, list[id])
+    , undefined, undefined, { cacheSize : 3 })
+
+  const list = [ "zero", "one" ]
+
+  assert.strictEqual(selector({ list }, { id : 0 }), "zero")
+  assert.strictEqual(selector({ list }, { id : 1 }), "one")
+  assert.strictEqual(selector({ list }, { id : 0 }), "zero")
+  assert.strictEqual(selector({ list }, { id : 1 }), "one")
+  assert.strictEqual(runs, 2)
+
+  assert.strictEqual(selector({ list : list.slice() }, { id : 0 }), "zero")
+  assert.strictEqual(runs, 3)
+
+  assert.strictEqual(selector.stats.hits, 2)
+  assert.strictEqual(selector.stats.misses, 3)
+
+})
+
+test("a multiple tuple and a single value never match each other", () => {
+
+  let runs = 0
+
+  const selector = jselector(
+    (state, props, multiple) => state.many ? Object.assign(multiple, [ state.value ]) : state.value
+    , () => ++runs
+    , undefined, undefined, { cacheSize : 2 })
+
+  const value = {}
+
+  selector({ value })
+  selector({ value, many : true })
+  selector({ value })
+
+  assert.strictEqual(runs, 2)
+
+})
+
+test("cacheSize 1 behaves exactly as no cacheSize", () => {
+
+  const calls = [ { id : "a" }, { id : "a" }, { id : "b" }, { id : "a" }, { id : "a" }, { id : "b" } ]
+
+  const run = options => {
+    const { selector, runs } = counting(options)
+    const results = calls.map(state => selector(state))
+    return { runs, same : results.map(( result, x ) => x > 0 && result === results[x - 1]), stats : selector.stats }
+  }
+
+  const plain = run(undefined)
+
+  assert.deepStrictEqual(run({ cacheSize : 1 }), plain)
+  assert.deepStrictEqual(plain.runs, [ "a", "b", "a", "b" ])
+  assert.deepStrictEqual(plain.stats, { hits : 2, misses : 4, size : 1 })
+
+})
+
+test("the stats count hits and misses without a cache as well", () => {
+
+  const { selector } = counting()
+
+  selector({ id : 1 })
+  selector({ id : 1 })
+  selector({ id : 1 })
+
+  assert.deepStrictEqual(selector.stats, { hits : 2, misses : 1, size : 1 })
+
+})
@@ -0,0 +1,87 @@
+/**
+ * strictPathMode, what gets reported and how often
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, strictPathMode, checkPaths, collectionSelector } = require('../jselector.babel.js')
+
+const reporting = () => {
+  const reports = []
+  strictPathMode({ report : (message, problem) => reports.push(problem) })
+  return reports
+}
+
+test.afterEach(() => strictPathMode(false))
+
+test("a missing root is reported once per root reference", () => {
+
+  const reports = reporting()
+    , selector = jselector("sesion.user.name")
+    , state = { session : { user : { name : "ann" } } }
+
+  selector(state)
+  selector(state)
+  selector(state)
+
+  assert.strictEqual(reports.length, 1)
+  assert.strictEqual(reports[0].segment, "sesion")
+  assert.strictEqual(reports[0].at, "")
+
+  selector(Object.assign({}, state))
+
+  assert.strictEqual(reports.length, 2)
+
+})
+
+test("a missing segment below the root is reported once per root reference", () => {
+
+  const reports = reporting()
+    , selector = jselector("session.usr.name")
+    , state = { session : { user : { name : "ann" } } }
+
+  selector(state)
+  selector(state)
+
+  assert.strictEqual(reports.length, 1)
+  assert.strictEqual(reports[0].segment, "usr")
+  assert.strictEqual(reports[0].at, "session")
+
+})
+
+test("throw mode keeps throwing for the same root", () => {
+
+  strictPathMode(true)
+
+  const selector = jselector("sesion.user.name")
+    , state = { session : {} }
+
+  assert.throws(() => selector(state), /sesion/)
+  assert.throws(() => selector(state), /sesion/)
+
+})
+
+test("checkPaths checks the path of a collectionSelector too", () => {
+
+  const sample = { todos : { items : [ { title : "a" } ] } }
+    , mapItem = item => item.title
+
+  const spec = {
+    rows : collectionSelector("todos.itmes", mapItem),
+    fine : collectionSelector("todos.items", mapItem),
+    nested : { rows : collectionSelector("todos.items.0.name", mapItem) }
+  }
+
+  assert.deepStrictEqual(checkPaths(spec, sample).map(problem => [ problem.key, problem.segment ]), [
+    [ "rows", "itmes" ],
+    [ "nested.rows", "name" ]
+  ])
+
+})
+
+test("options.sample catches a typo in a collectionSelector", () => {
+
+  assert.throws(() => jselector({ rows : collectionSelector("todos.itmes", item => item) }, null, undefined, undefined, {
+    sample : { todos : { items : [] } }
+  }), /itmes/)
+
+})
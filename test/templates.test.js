@@ -0,0 +1,55 @@
+/**
+ * Path templates, {ownProps.x} and {state.x}, compiled and interpreted
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { default: jselector, interpreterMode } = require('../jselector.babel.js')
+
+const state = { entities : { users : { 1 : { name : "one" }, 2 : { name : "two" } } }, ui : { selected : 2 } }
+
+for (const interpreted of [ false, true ]) {
+
+  const mode = interpreted ? "interpreter" : "compiled"
+
+  test(`${ mode }: picks the key from ownProps and state`, () => {
+
+    interpreterMode(interpreted)
+
+    const byProps = jselector("entities.users.{ownProps.userId}.name")
+      , byState = jselector("entities.users.{state.ui.selected}.name")
+
+    assert.strictEqual(byProps(state, { userId : 1 }), "one")
+    assert.strictEqual(byProps(state, { userId : 2 }), "two")
+    assert.strictEqual(byState(state), "two")
+
+    interpreterMode(undefined)
+
+  })
+
+  test(`${ mode }: a missing reducer root gives undefined instead of throwing`, () => {
+
+    interpreterMode(interpreted)
+
+    const selector = jselector("entities.users.{ownProps.userId}.name")
+
+    assert.strictEqual(selector({}, { userId : 1 }), undefined)
+    assert.strictEqual(selector({}, { userId : 2 }), undefined)
+    assert.strictEqual(selector(state, { userId : 2 }), "two")
+    assert.strictEqual(selector({}, { userId : 2 }), undefined)
+
+    interpreterMode(undefined)
+
+  })
+
+  test(`${ mode }: a template can't be the reducer`, () => {
+
+    interpreterMode(interpreted)
+
+    assert.throws(() => jselector("{ownProps.r}.x"), SyntaxError)
+    assert.throws(() => jselector("ownProps.{ownProps.r}.x"), SyntaxError)
+
+    interpreterMode(undefined)
+
+  })
+
+}
@@ -0,0 +1,56 @@
+/**
+ * trackedSelector, what it watches and what it hands back
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const { types } = require('node:util')
+const { default: jselector, trackedSelector } = require('../jselector.babel.js')
+
+const state = () => ({ todos : { list : [ { done : false }, { done : true } ], filter : "all" }, other : 1 })
+
+test("only runs again when something it read changed", () => {
+
+  let runs = 0
+
+  const selector = jselector(trackedSelector(st => (runs++, st.todos.list.filter(todo => todo.done).length)))
+    , first = state()
+
+  assert.strictEqual(selector(first), 1)
+  assert.strictEqual(selector(Object.assign({}, first, { other : 2 })), 1)
+  assert.strictEqual(runs, 1)
+
+  assert.strictEqual(selector(Object.assign({}, first, { todos : { list : [ { done : true } ], filter : "all" } })), 1)
+  assert.strictEqual(runs, 2)
+
+  assert.deepStrictEqual(selector.dependencies().map(dep => dep.path), [ "todos.list.length", "todos.list[0].done" ])
+
+})
+
+test("no proxy ends up in a frozen result", () => {
+
+  const st = state()
+    , result = jselector(trackedSelector(st => Object.freeze({ x : st.todos.list, nested : Object.freeze([ st.todos ]) })))(st)
+
+  assert.ok(Object.isFrozen(result))
+  assert.strictEqual(types.isProxy(result.x), false)
+  assert.strictEqual(result.x, st.todos.list)
+  assert.strictEqual(types.isProxy(result.nested[0]), false)
+  assert.strictEqual(result.nested[0], st.todos)
+
+})
+
+test("the function's own result objects are copied, not changed", () => {
+
+  const st = state()
+    , out = {}
+    , result = jselector(trackedSelector(st => (out.x = st.todos.list, out)))(st)
+
+  assert.notStrictEqual(result, out)
+  assert.strictEqual(result.x, st.todos.list)
+  assert.strictEqual(types.isProxy(out.x), true)
+
+  const plain = { n : 1 }
+
+  assert.strictEqual(jselector(trackedSelector(st => plain))(st), plain)
+
+})